@@ -0,0 +1,118 @@
+/*
+ * Batched execution of bulk operations
+ */
+
+export interface BulkOptions {
+  /** Number of items sent per request. Defaults to 1000 */
+  batchSize?: number;
+  /** Number of batches sent at the same time. Defaults to 2 */
+  concurrency?: number;
+  /** Called each time a batch settles */
+  onProgress?: (progress: BulkProgress) => void;
+  /** Stop scheduling new batches once aborted */
+  signal?: AbortSignal;
+}
+
+export interface BulkProgress {
+  completedBatches: number;
+  totalBatches: number;
+  succeededItems: number;
+  failedItems: number;
+  totalItems: number;
+  /** Batch that just settled */
+  batch: BulkBatchResult;
+}
+
+export interface BulkBatchResult<R = any> {
+  /** Position of the batch, starting at 0 */
+  index: number;
+  /** Position of the first item of the batch in the input */
+  offset: number;
+  size: number;
+  success: boolean;
+  result?: R;
+  error?: unknown;
+}
+
+export interface BulkResult<T, R = any> {
+  batches: BulkBatchResult<R>[];
+  succeededItems: number;
+  failedItems: number;
+  /** Items of the failed and skipped batches, to resume the operation with */
+  remaining: T[];
+}
+
+/**
+ * Split items into chunks of the given size
+ */
+export function chunk<T>(items: T[], size: number): T[][] {
+  if (!(size > 0)) {
+    throw new Error('Batch size must be a positive number');
+  }
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run an operation over batches of items with bounded concurrency. Failed
+ * batches do not stop the others, and are reported in the result.
+ */
+export async function runBatches<T, R>(
+  items: T[],
+  operation: (batch: T[]) => Promise<R>,
+  options: BulkOptions = {}
+): Promise<BulkResult<T, R>> {
+  const batchSize = options.batchSize ?? 1000;
+  const concurrency = Math.max(1, options.concurrency ?? 2);
+  const chunks = chunk(items, batchSize);
+  const batches: BulkBatchResult<R>[] = [];
+  let succeededItems = 0;
+  let failedItems = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < chunks.length && !options.signal?.aborted) {
+      const index = next++;
+      const batch: BulkBatchResult<R> = {
+        index,
+        offset: index * batchSize,
+        size: chunks[index].length,
+        success: false,
+      };
+      try {
+        batch.result = await operation(chunks[index]);
+        batch.success = true;
+        succeededItems += batch.size;
+      } catch (error) {
+        batch.error = error;
+        failedItems += batch.size;
+      }
+      batches[index] = batch;
+      options.onProgress?.({
+        completedBatches: batches.filter(Boolean).length,
+        totalBatches: chunks.length,
+        succeededItems,
+        failedItems,
+        totalItems: items.length,
+        batch,
+      });
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, chunks.length) }, worker)
+  );
+
+  const remaining: T[] = [];
+  chunks.forEach((items, index) => {
+    if (!batches[index]?.success) remaining.push(...items);
+  });
+  return {
+    batches: batches.filter(Boolean),
+    succeededItems,
+    failedItems,
+    remaining,
+  };
+}
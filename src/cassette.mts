@@ -0,0 +1,183 @@
+/*
+ * Record and replay of API interactions, to test against captured traffic
+ */
+
+import { SendPulseError } from './errors.mjs';
+import { redact } from './middleware.mjs';
+import { defaultTransport } from './transport.mjs';
+import type { HttpResponse, Transport } from './transport.mjs';
+
+export interface Interaction {
+  request: {
+    method: string;
+    /** Path and query string */
+    path: string;
+    body?: any;
+  };
+  response: HttpResponse;
+}
+
+/**
+ * Request missing from a replayed cassette
+ */
+export class CassetteMismatchError extends SendPulseError {}
+
+export interface CassetteOptions {
+  /** Path of the cassette file */
+  path: string;
+  /**
+   * `record` sends the requests and saves them to the file, `replay` answers
+   * them from the file
+   */
+  mode: 'record' | 'replay';
+}
+
+/**
+ * Interactions stored in a JSON file. Node only.
+ */
+export class Cassette {
+  interactions: Interaction[] = [];
+  private readonly used = new Set<Interaction>();
+  private saving: Promise<void> = Promise.resolve();
+
+  constructor(readonly path: string) {}
+
+  async load(): Promise<this> {
+    const { readFile } = await import('fs/promises');
+    this.interactions = JSON.parse(await readFile(this.path, 'utf-8'));
+    this.used.clear();
+    return this;
+  }
+
+  /**
+   * Write the interactions to the file. Concurrent saves are serialized.
+   */
+  save(): Promise<void> {
+    this.saving = this.saving.then(async () => {
+      const { mkdir, writeFile } = await import('fs/promises');
+      const { dirname } = await import('path');
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(this.path, JSON.stringify(this.interactions, null, 2));
+    });
+    return this.saving;
+  }
+
+  /**
+   * Add an interaction, with its credentials redacted
+   */
+  record(interaction: Interaction): void {
+    const { request, response } = interaction;
+    this.interactions.push({
+      request: {
+        ...request,
+        body: redact({ headers: {}, data: request.body }).data,
+      },
+      response: {
+        ...response,
+        headers: Object.fromEntries(
+          Object.entries(response.headers).filter(
+            ([name]) => name !== 'set-cookie'
+          )
+        ),
+        data: redact({ headers: {}, data: response.data }).data,
+      },
+    });
+  }
+
+  /**
+   * Find the first unused interaction matching a request. Once all the
+   * matching interactions are used, the last one is served again.
+   */
+  match(request: Interaction['request']): Interaction | undefined {
+    const body = JSON.stringify(
+      redact({ headers: {}, data: request.body }).data ?? null
+    );
+    const matching = this.interactions.filter(
+      (interaction) =>
+        interaction.request.method === request.method &&
+        interaction.request.path === request.path &&
+        JSON.stringify(interaction.request.body ?? null) === body
+    );
+    const interaction =
+      matching.find((interaction) => !this.used.has(interaction)) ??
+      matching[matching.length - 1];
+    if (interaction) this.used.add(interaction);
+    return interaction;
+  }
+}
+
+/**
+ * Wrap a transport to record or replay interactions
+ */
+export function cassetteTransport(
+  options: CassetteOptions,
+  transport?: Transport
+): Transport {
+  return options.mode === 'replay'
+    ? replayTransport(options.path)
+    : recordTransport(options.path, transport);
+}
+
+/**
+ * Transport sending requests with another transport, and saving each
+ * interaction to a cassette file
+ */
+export function recordTransport(
+  cassette: Cassette | string,
+  transport: Transport = defaultTransport()
+): Transport {
+  const target =
+    typeof cassette === 'string' ? new Cassette(cassette) : cassette;
+  return async (request) => {
+    const response = await transport(request);
+    target.record({
+      request: {
+        method: request.method,
+        path: relativePath(request.url),
+        body: parseBody(request.body),
+      },
+      response,
+    });
+    await target.save();
+    return response;
+  };
+}
+
+/**
+ * Transport answering requests from a cassette file, and failing with a
+ * `CassetteMismatchError` on requests it does not hold
+ */
+export function replayTransport(cassette: Cassette | string): Transport {
+  const source =
+    typeof cassette === 'string' ? new Cassette(cassette) : cassette;
+  let loading: Promise<unknown> | undefined;
+  return async (request) => {
+    loading ??=
+      typeof cassette === 'string' ? source.load() : Promise.resolve();
+    await loading;
+    const recorded = {
+      method: request.method,
+      path: relativePath(request.url),
+      body: parseBody(request.body),
+    };
+    const interaction = source.match(recorded);
+    if (!interaction) {
+      throw new CassetteMismatchError(
+        `No recorded interaction for ${recorded.method} ${recorded.path}` +
+          ` in ${source.path}`,
+        { path: recorded.path, method: recorded.method, data: recorded.body }
+      );
+    }
+    const response = interaction.response;
+    return { ...response, headers: { ...response.headers } };
+  };
+}
+
+function relativePath(url: string): string {
+  const { pathname, search } = new URL(url);
+  return pathname.replace(/^\/+/, '') + search;
+}
+
+function parseBody(body?: string): any {
+  return body === undefined ? undefined : JSON.parse(body);
+}
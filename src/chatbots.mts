@@ -0,0 +1,188 @@
+/*
+ * Chatbot APIs of the supported messengers
+ */
+
+import type { SendPulseClient } from './sendpulse.mjs';
+import type {
+  Chatbot,
+  ChatbotContact,
+  ChatbotFlow,
+  ChatbotMessage,
+  Messenger,
+  ResultResponse,
+} from './types.mjs';
+
+/**
+ * Chatbot API of a single messenger. Every messenger exposes the same methods.
+ */
+export class MessengerClient {
+  constructor(
+    private readonly client: SendPulseClient,
+    readonly messenger: Messenger
+  ) {}
+
+  /**
+   * List bots
+   */
+
+  async listBots(): Promise<Chatbot[]> {
+    return this.request('GET', 'bots');
+  }
+
+  /**
+   * List contacts of a bot
+   */
+
+  async listContacts(
+    bot_id: string,
+    limit?: number,
+    offset?: number
+  ): Promise<ChatbotContact[]> {
+    if (bot_id === undefined) {
+      throw new Error('Empty bot id');
+    }
+    const data: Record<string, any> = { bot_id };
+    if (limit !== undefined) data['limit'] = limit;
+    if (offset !== undefined) data['offset'] = offset;
+    return this.request('GET', 'contacts/getByBot', data);
+  }
+
+  /**
+   * Get contact
+   */
+
+  async getContact(contact_id: string): Promise<ChatbotContact> {
+    if (contact_id === undefined) {
+      throw new Error('Empty contact id');
+    }
+    return this.request('GET', 'contacts/get', { id: contact_id });
+  }
+
+  /**
+   * Send message to contact
+   */
+
+  async sendMessage(
+    contact_id: string,
+    message: ChatbotMessage
+  ): Promise<ResultResponse> {
+    if (contact_id === undefined || message === undefined) {
+      throw new Error('Empty contact id or message');
+    }
+    return this.request('POST', 'contacts/send', { contact_id, message });
+  }
+
+  /**
+   * Send message template to contact
+   */
+
+  async sendTemplate(
+    contact_id: string,
+    template: Record<string, any>
+  ): Promise<ResultResponse> {
+    if (contact_id === undefined || template === undefined) {
+      throw new Error('Empty contact id or template');
+    }
+    return this.request('POST', 'contacts/sendTemplate', {
+      contact_id,
+      template,
+    });
+  }
+
+  /**
+   * Set contact tags
+   */
+
+  async setTags(contact_id: string, tags: string[]): Promise<ResultResponse> {
+    if (contact_id === undefined || tags === undefined) {
+      throw new Error('Empty contact id or tags');
+    }
+    return this.request('POST', 'contacts/setTag', { contact_id, tags });
+  }
+
+  /**
+   * Set contact variable
+   */
+
+  async setVariable(
+    contact_id: string,
+    variable_name: string,
+    variable_value: string | number | boolean
+  ): Promise<ResultResponse> {
+    if (contact_id === undefined || variable_name === undefined) {
+      throw new Error('Empty contact id or variable name');
+    }
+    return this.request('POST', 'contacts/setVariable', {
+      contact_id,
+      variable_name,
+      variable_value,
+    });
+  }
+
+  /**
+   * List flows of a bot
+   */
+
+  async listFlows(bot_id: string): Promise<ChatbotFlow[]> {
+    if (bot_id === undefined) {
+      throw new Error('Empty bot id');
+    }
+    return this.request('GET', 'flows', { bot_id });
+  }
+
+  /**
+   * Run flow for contact
+   */
+
+  async runFlow(
+    contact_id: string,
+    flow_id: string,
+    external_data?: Record<string, any>
+  ): Promise<ResultResponse> {
+    if (contact_id === undefined || flow_id === undefined) {
+      throw new Error('Empty contact id or flow id');
+    }
+    const data: Record<string, any> = { contact_id, flow_id };
+    if (external_data !== undefined) data['external_data'] = external_data;
+    return this.request('POST', 'flows/run', data);
+  }
+
+  private async request<T>(
+    method: string,
+    path: string,
+    data: any = {}
+  ): Promise<T> {
+    const response = await this.client.sendRequest(
+      this.messenger + '/' + path,
+      method,
+      data,
+      true
+    );
+    // Chatbot endpoints wrap their payload in a `data` field
+    return response &&
+      typeof response === 'object' &&
+      'success' in response &&
+      'data' in response
+      ? response.data
+      : response;
+  }
+}
+
+/**
+ * Chatbot APIs, by messenger
+ */
+export class ChatbotsClient {
+  readonly telegram: MessengerClient;
+  readonly whatsapp: MessengerClient;
+  readonly facebook: MessengerClient;
+  readonly instagram: MessengerClient;
+  readonly viber: MessengerClient;
+
+  constructor(client: SendPulseClient) {
+    this.telegram = new MessengerClient(client, 'telegram');
+    this.whatsapp = new MessengerClient(client, 'whatsapp');
+    this.facebook = new MessengerClient(client, 'messenger');
+    this.instagram = new MessengerClient(client, 'instagram');
+    this.viber = new MessengerClient(client, 'viber');
+  }
+}
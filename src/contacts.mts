@@ -0,0 +1,411 @@
+/*
+ * CSV and NDJSON import and export of address book contacts
+ */
+
+import { runBatches } from './bulk.mjs';
+import type { BulkOptions, BulkProgress, BulkResult } from './bulk.mjs';
+import type { PageOptions } from './pagination.mjs';
+import type { SendPulseClient } from './sendpulse.mjs';
+import type {
+  AddressBookContact,
+  AddressBookEmail,
+  ResultResponse,
+  Variables,
+} from './types.mjs';
+import { csvLine } from './util.mjs';
+
+export type ContactFormat = 'csv' | 'ndjson';
+
+/**
+ * Source of text: a Node stream, a web `ReadableStream`, or any iterable of
+ * strings or bytes
+ */
+export type ContactSource =
+  | AsyncIterable<string | Uint8Array>
+  | Iterable<string | Uint8Array>
+  | ReadableStream<string | Uint8Array>;
+
+export interface ExportOptions extends PageOptions {
+  format?: ContactFormat;
+  /**
+   * Variables exported as CSV columns. By default, the variables found in the
+   * first page of contacts; variables missing from it are not exported.
+   */
+  variables?: string[];
+}
+
+export interface ContactMapping {
+  /** Column holding the email. Defaults to `email` */
+  email?: string;
+  /** Column holding the phone. Defaults to `phone` */
+  phone?: string;
+  /**
+   * Columns imported as variables, optionally renamed. By default, every
+   * other non-empty column.
+   */
+  variables?: string[] | Record<string, string>;
+}
+
+export interface ParseOptions {
+  format?: ContactFormat;
+  mapping?: ContactMapping;
+}
+
+export interface ImportOptions extends ParseOptions, BulkOptions {
+  /**
+   * Contacts to skip at the start of the source, to resume an aborted import
+   * from its `read` count
+   */
+  skip?: number;
+}
+
+export interface ImportResult
+  extends BulkResult<AddressBookEmail, ResultResponse> {
+  /**
+   * Contacts read from the source, skipped ones included. Reading stops on
+   * abort, so the rest of the source starts after them.
+   */
+  read: number;
+}
+
+const CONTACT_COLUMNS = ['email', 'phone', 'status'];
+
+/** Fields of exported contacts never imported as variables */
+const CONTACT_FIELDS = [...CONTACT_COLUMNS, 'status_explain'];
+
+/**
+ * Stream the contacts of an address book as CSV or NDJSON lines
+ */
+export async function* exportAddressBook(
+  client: SendPulseClient,
+  id: string,
+  options: ExportOptions = {}
+): AsyncGenerator<string, void, undefined> {
+  const contacts = client.iterateAddressBookEmails(id, options);
+  if (options.format === 'ndjson') {
+    for await (const contact of contacts) {
+      yield JSON.stringify(contact) + '\n';
+    }
+    return;
+  }
+
+  // Look ahead over the first page to find the variable columns
+  const head: AddressBookContact[] = [];
+  let next = await contacts.next();
+  for (let i = 0; i < (options.pageSize ?? 100) && !next.done; i++) {
+    head.push(next.value);
+    next = await contacts.next();
+  }
+  const variables =
+    options.variables ??
+    Array.from(
+      new Set(head.flatMap((contact) => Object.keys(contact.variables ?? {})))
+    );
+
+  yield csvLine([...CONTACT_COLUMNS, ...variables]);
+  const row = (contact: AddressBookContact) =>
+    csvLine([
+      contact.email,
+      contact.phone,
+      contact.status,
+      ...variables.map((name) => contact.variables?.[name]),
+    ]);
+  for (const contact of head) yield row(contact);
+  while (!next.done) {
+    yield row(next.value);
+    next = await contacts.next();
+  }
+}
+
+/**
+ * Read contacts from a CSV or NDJSON source
+ */
+export async function* parseContacts(
+  source: ContactSource,
+  options: ParseOptions = {}
+): AsyncGenerator<AddressBookEmail, void, undefined> {
+  const lines = readText(source);
+  const records =
+    options.format === 'ndjson' ? parseNdjson(lines) : parseCsv(lines);
+  for await (const record of records) {
+    const contact = mapContact(record, options.mapping);
+    if (contact) yield contact;
+  }
+}
+
+/**
+ * Import contacts from a CSV or NDJSON source into an address book, holding
+ * at most `batchSize * concurrency` contacts in memory. On abort, reading
+ * stops: the contacts read but not imported are left in `remaining`, and the
+ * import can be resumed with `skip` set to `read`.
+ */
+export async function importAddressBook(
+  client: SendPulseClient,
+  id: string,
+  source: ContactSource,
+  options: ImportOptions = {}
+): Promise<ImportResult> {
+  const batchSize = options.batchSize ?? 1000;
+  const groupSize = batchSize * Math.max(1, options.concurrency ?? 2);
+  const skip = options.skip ?? 0;
+  const result: ImportResult = {
+    batches: [],
+    succeededItems: 0,
+    failedItems: 0,
+    remaining: [],
+    read: 0,
+  };
+  let group: AddressBookEmail[] = [];
+  let read = 0;
+
+  const flush = async () => {
+    const batchOffset = result.batches.length;
+    const itemOffset = read - group.length;
+    const onProgress = (progress: BulkProgress) =>
+      options.onProgress?.({
+        completedBatches: batchOffset + progress.completedBatches,
+        totalBatches: batchOffset + progress.totalBatches,
+        succeededItems: result.succeededItems + progress.succeededItems,
+        failedItems: result.failedItems + progress.failedItems,
+        totalItems: read,
+        batch: {
+          ...progress.batch,
+          index: batchOffset + progress.batch.index,
+          offset: itemOffset + progress.batch.offset,
+        },
+      });
+    const { batches, succeededItems, failedItems, remaining } =
+      await runBatches(
+        group,
+        (batch) => client.addAddressBookEmails(id, batch),
+        { ...options, onProgress }
+      );
+    for (const batch of batches) {
+      result.batches.push({
+        ...batch,
+        index: batchOffset + batch.index,
+        offset: itemOffset + batch.offset,
+      });
+    }
+    result.succeededItems += succeededItems;
+    result.failedItems += failedItems;
+    result.remaining.push(...remaining);
+    group = [];
+  };
+
+  for await (const contact of parseContacts(source, options)) {
+    if (options.signal?.aborted) break;
+    result.read++;
+    if (result.read <= skip) continue;
+    group.push(contact);
+    read++;
+    if (group.length >= groupSize) await flush();
+  }
+  if (group.length) await flush();
+  return result;
+}
+
+/**
+ * Wrap an async iterable of strings into a web `ReadableStream`. Node
+ * streams can be created with `Readable.from` instead.
+ */
+export function toReadableStream(
+  iterable: AsyncIterable<string>
+): ReadableStream<string> {
+  const iterator = iterable[Symbol.asyncIterator]();
+  return new ReadableStream<string>({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+}
+
+/**
+ * Decode a source into text chunks
+ */
+async function* readText(
+  source: ContactSource
+): AsyncGenerator<string, void, undefined> {
+  const decoder = new TextDecoder();
+  const chunks =
+    typeof (source as ReadableStream).getReader === 'function'
+      ? readStream(source as ReadableStream<string | Uint8Array>)
+      : (source as AsyncIterable<string | Uint8Array>);
+  let first = true;
+  for await (const chunk of chunks) {
+    let text =
+      typeof chunk === 'string'
+        ? chunk
+        : decoder.decode(chunk, { stream: true });
+    // The decoder drops the byte order mark of bytes, but not of strings
+    if (first && text) {
+      text = text.replace(/^\uFEFF/, '');
+      first = false;
+    }
+    yield text;
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+async function* readStream<T>(
+  stream: ReadableStream<T>
+): AsyncGenerator<T, void, undefined> {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Parse CSV text into records keyed by the header columns. Quoted fields may
+ * contain commas, quotes and line breaks.
+ */
+async function* parseCsv(
+  chunks: AsyncIterable<string>
+): AsyncGenerator<Record<string, string>, void, undefined> {
+  let header: string[] | undefined;
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+  // Whether the last character was a quote closing or escaping in a field
+  let quote = false;
+
+  const endRow = () => {
+    row.push(field);
+    field = '';
+    const values = row;
+    row = [];
+    if (values.length === 1 && values[0] === '') return undefined;
+    if (!header) {
+      header = values.map((column) => column.trim());
+      return undefined;
+    }
+    const record: Record<string, string> = {};
+    header.forEach((column, i) => (record[column] = values[i] ?? ''));
+    return record;
+  };
+
+  for await (const chunk of chunks) {
+    for (const char of chunk) {
+      if (quoted) {
+        if (quote) {
+          quote = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+        } else if (char === '"') {
+          quote = true;
+          continue;
+        } else {
+          field += char;
+          continue;
+        }
+      }
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n') {
+        const record = endRow();
+        if (record) yield record;
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+  if (field !== '' || row.length) {
+    const record = endRow();
+    if (record) yield record;
+  }
+}
+
+/**
+ * Parse NDJSON text into records
+ */
+async function* parseNdjson(
+  chunks: AsyncIterable<string>
+): AsyncGenerator<Record<string, any>, void, undefined> {
+  let buffer = '';
+  let line = 0;
+  const parse = (text: string) => {
+    line++;
+    if (!text.trim()) return undefined;
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid NDJSON on line ${line}: ${error.message}`);
+    }
+  };
+
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    let index: number;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const record = parse(buffer.slice(0, index));
+      buffer = buffer.slice(index + 1);
+      if (record) yield record;
+    }
+  }
+  const record = parse(buffer);
+  if (record) yield record;
+}
+
+/**
+ * Map a record onto a contact, skipping records without email
+ */
+function mapContact(
+  record: Record<string, any>,
+  mapping: ContactMapping = {}
+): AddressBookEmail | undefined {
+  const emailColumn = mapping.email ?? 'email';
+  const phoneColumn = mapping.phone ?? 'phone';
+  const email = record[emailColumn] ? String(record[emailColumn]).trim() : '';
+  const phone = record[phoneColumn] ? String(record[phoneColumn]).trim() : '';
+  if (!email) return undefined;
+
+  let columns: Record<string, string>;
+  if (Array.isArray(mapping.variables)) {
+    columns = Object.fromEntries(mapping.variables.map((name) => [name, name]));
+  } else if (mapping.variables) {
+    columns = mapping.variables;
+  } else {
+    // NDJSON records may hold their variables in an object, merged over the
+    // other columns
+    const { variables: nested, ...rest } = record;
+    if (typeof nested === 'object' && nested !== null) {
+      record = { ...rest, ...nested };
+    }
+    columns = {};
+    for (const column of Object.keys(record)) {
+      if (![emailColumn, phoneColumn, ...CONTACT_FIELDS].includes(column))
+        columns[column] = column;
+    }
+  }
+
+  const variables: Variables = {};
+  for (const [column, name] of Object.entries(columns)) {
+    const value = record[column];
+    if (value !== undefined && value !== null && value !== '')
+      variables[name] = value;
+  }
+
+  const contact: AddressBookEmail = { email };
+  if (phone) contact.phone = phone;
+  if (Object.keys(variables).length) contact.variables = variables;
+  return contact;
+}
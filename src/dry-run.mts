@@ -0,0 +1,80 @@
+/*
+ * Dry-run mode, recording mutating calls instead of sending them
+ */
+
+/** Methods that never change anything on the account */
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export interface RecordedCall {
+  path: string;
+  method: string;
+  data: any;
+  /** Recording time, in milliseconds */
+  timestamp: number;
+}
+
+export interface DryRunOptions {
+  /**
+   * Still send read-only requests to the API. Defaults to true. When false,
+   * `respond` is required, since no default response fits every read.
+   */
+  forwardReads?: boolean;
+  /**
+   * Synthetic response of a recorded call. Defaults to
+   * `{ result: true, id }`, with an id increasing for each call.
+   */
+  respond?: (call: RecordedCall) => any;
+}
+
+/**
+ * Record of the calls intercepted by the dry-run mode
+ */
+export class DryRunRecorder {
+  /** Intercepted calls, in order */
+  readonly calls: RecordedCall[] = [];
+  private readonly forwardReads: boolean;
+
+  constructor(private readonly options: DryRunOptions = {}) {
+    this.forwardReads = options.forwardReads ?? true;
+    if (!this.forwardReads && !options.respond) {
+      throw new Error('Dry runs without forwarded reads need a respond option');
+    }
+  }
+
+  /**
+   * Whether a request must be recorded instead of sent
+   */
+  intercepts(method: string): boolean {
+    return !this.forwardReads || !READ_METHODS.includes(method.toUpperCase());
+  }
+
+  /**
+   * Record a call and return its synthetic response
+   */
+  record(path: string, method: string, data: any): any {
+    const call: RecordedCall = {
+      path,
+      method: method.toUpperCase(),
+      data: structuredClone(data),
+      timestamp: Date.now(),
+    };
+    this.calls.push(call);
+    if (this.options.respond) return this.options.respond(call);
+    return { result: true, id: this.calls.length };
+  }
+
+  /**
+   * Recorded calls matching a method and path
+   */
+  find(method: string, path: string | RegExp): RecordedCall[] {
+    return this.calls.filter(
+      (call) =>
+        call.method === method.toUpperCase() &&
+        (typeof path === 'string' ? call.path === path : path.test(call.path))
+    );
+  }
+
+  clear(): void {
+    this.calls.length = 0;
+  }
+}
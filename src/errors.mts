@@ -0,0 +1,161 @@
+/*
+ * Errors raised by the SendPulse client
+ */
+
+interface SendPulseErrorDetails {
+  status?: number;
+  code?: number | string;
+  path?: string;
+  method?: string;
+  data?: any;
+  cause?: unknown;
+}
+
+/**
+ * Base class of every error returned by the SendPulse API
+ */
+export class SendPulseError extends Error {
+  /** HTTP status of the response, if one was received */
+  readonly status?: number;
+  /** SendPulse `error_code` of the response body */
+  readonly code?: number | string;
+  /** API path of the failed request */
+  readonly path?: string;
+  /** HTTP method of the failed request */
+  readonly method?: string;
+  /** Raw response body */
+  readonly data?: any;
+  readonly cause?: unknown;
+
+  constructor(message: string, details: SendPulseErrorDetails = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = details.status;
+    this.code = details.code;
+    this.path = details.path;
+    this.method = details.method;
+    this.data = details.data;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * Invalid client credentials or access token (401, 403)
+ */
+export class AuthenticationError extends SendPulseError {}
+
+/**
+ * Too many requests (429)
+ */
+export class RateLimitError extends SendPulseError {
+  /** Delay requested by the `Retry-After` header, in milliseconds */
+  readonly retryAfter?: number;
+
+  constructor(
+    message: string,
+    details: SendPulseErrorDetails & { retryAfter?: number } = {}
+  ) {
+    super(message, details);
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/**
+ * Rejected request parameters (400, 422)
+ */
+export class ValidationError extends SendPulseError {}
+
+/**
+ * Unknown resource (404)
+ */
+export class NotFoundError extends SendPulseError {}
+
+/**
+ * Request that did not receive any response
+ */
+export class NetworkError extends SendPulseError {}
+
+/**
+ * Operation not completed in the allowed time
+ */
+export class TimeoutError extends SendPulseError {}
+
+/**
+ * Send rejected by the spend guard, before any request
+ */
+export class SpendLimitError extends SendPulseError {
+  /** Limit that would be crossed */
+  readonly reason: 'budget' | 'balance' | 'unestimated';
+  /** Estimated cost of the send */
+  readonly cost?: number;
+  /** Balance of the account */
+  readonly balance?: number;
+  readonly currency?: string;
+
+  constructor(
+    message: string,
+    details: SendPulseErrorDetails & {
+      reason: 'budget' | 'balance' | 'unestimated';
+      cost?: number;
+      balance?: number;
+      currency?: string;
+    }
+  ) {
+    super(message, details);
+    this.reason = details.reason;
+    this.cost = details.cost;
+    this.balance = details.balance;
+    this.currency = details.currency;
+  }
+}
+
+/**
+ * Parse a `Retry-After` header into milliseconds
+ */
+export function parseRetryAfter(value: unknown): number | undefined {
+  if (value === undefined || value === null || value === '') return undefined;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(String(value));
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return undefined;
+}
+
+/**
+ * Build the SendPulse error matching a failed HTTP response
+ */
+export function createSendPulseError(
+  status: number,
+  data: any,
+  path: string,
+  method: string,
+  headers: Record<string, any> = {},
+  cause?: unknown
+): SendPulseError {
+  const body = typeof data === 'object' && data !== null ? data : {};
+  const code = body.error_code ?? body.error;
+  const message =
+    body.message ??
+    body.error_description ??
+    (typeof data === 'string' && data ? data : undefined) ??
+    `Request failed with status ${status}`;
+  const details = { status, code, path, method, data, cause };
+
+  switch (status) {
+    case 400:
+    case 422:
+      return new ValidationError(message, details);
+    case 401:
+    case 403:
+      return new AuthenticationError(message, details);
+    case 404:
+      return new NotFoundError(message, details);
+    case 429:
+      return new RateLimitError(message, {
+        ...details,
+        retryAfter: parseRetryAfter(headers['retry-after']),
+      });
+    default:
+      return new SendPulseError(message, details);
+  }
+}
@@ -1 +1,21 @@
 export * from './sendpulse.mjs';
+export * from './bulk.mjs';
+export * from './cassette.mjs';
+export * from './chatbots.mjs';
+export * from './contacts.mjs';
+export * from './dry-run.mjs';
+export * from './errors.mjs';
+export * from './mail.mjs';
+export * from './middleware.mjs';
+export * from './pagination.mjs';
+export * from './reports.mjs';
+export * from './retry.mjs';
+export * from './routes.mjs';
+export * from './scheduler.mjs';
+export * from './spend-guard.mjs';
+export * from './templates.mjs';
+export * from './token-store.mjs';
+export * from './transport.mjs';
+export * from './types.mjs';
+export * from './watcher.mjs';
+export * from './webhooks.mjs';
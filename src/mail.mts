@@ -0,0 +1,198 @@
+/*
+ * Builder of transactional emails sent via SMTP
+ */
+
+import { ValidationError } from './errors.mjs';
+import type { SmtpAddress, SmtpEmailMessage } from './types.mjs';
+
+/**
+ * Content of an attachment: raw bytes, a `Blob`, or the path of a file to
+ * read (Node only)
+ */
+export type AttachmentSource = Uint8Array | ArrayBuffer | Blob | string;
+
+const EMAIL_PATTERN = /^[^\s@<>()",;:]+@[^\s@<>()",;:]+\.[^\s@<>()",;:]+$/;
+
+/**
+ * Whether a string looks like a valid email address
+ */
+export function isValidEmail(email: string): boolean {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email);
+}
+
+/**
+ * Fluent builder of the messages accepted by `smtpSendMail`. Messages are
+ * validated and their attachments encoded by `build`, before any request.
+ */
+export class EmailMessageBuilder {
+  private sender?: SmtpAddress;
+  private readonly recipients: Record<'to' | 'cc' | 'bcc', SmtpAddress[]> = {
+    to: [],
+    cc: [],
+    bcc: [],
+  };
+  private subjectLine?: string;
+  private htmlBody?: string;
+  private textBody?: string;
+  private templateRef?: SmtpEmailMessage['template'];
+  private readonly attachments = new Map<string, AttachmentSource>();
+  private readonly customHeaders: Record<string, string> = {};
+
+  from(email: string, name?: string): this {
+    this.sender = address(email, name);
+    return this;
+  }
+
+  to(email: string, name?: string): this {
+    this.recipients.to.push(address(email, name));
+    return this;
+  }
+
+  cc(email: string, name?: string): this {
+    this.recipients.cc.push(address(email, name));
+    return this;
+  }
+
+  bcc(email: string, name?: string): this {
+    this.recipients.bcc.push(address(email, name));
+    return this;
+  }
+
+  subject(subject: string): this {
+    this.subjectLine = subject;
+    return this;
+  }
+
+  html(html: string): this {
+    this.htmlBody = html;
+    return this;
+  }
+
+  text(text: string): this {
+    this.textBody = text;
+    return this;
+  }
+
+  /**
+   * Use a SendPulse template as body, filled with the given variables
+   */
+  template(id: number | string, variables?: Record<string, any>): this {
+    this.templateRef = variables === undefined ? { id } : { id, variables };
+    return this;
+  }
+
+  /**
+   * Attach a file. The name defaults to the file name of a path source.
+   */
+  attach(source: AttachmentSource, name?: string): this {
+    if (name === undefined) {
+      if (typeof source !== 'string') {
+        throw new ValidationError('Empty attachment name');
+      }
+      name = source.split(/[\\/]/).pop();
+    }
+    this.attachments.set(name, source);
+    return this;
+  }
+
+  header(name: string, value: string): this {
+    this.customHeaders[name] = value;
+    return this;
+  }
+
+  /**
+   * List the problems preventing the message from being sent
+   */
+  validate(): string[] {
+    const errors: string[] = [];
+    if (!this.sender) {
+      errors.push('Empty sender');
+    }
+    if (!this.recipients.to.length) {
+      errors.push('Empty recipients');
+    }
+    const addresses = [
+      ...(this.sender ? [this.sender] : []),
+      ...this.recipients.to,
+      ...this.recipients.cc,
+      ...this.recipients.bcc,
+    ];
+    for (const { email } of addresses) {
+      if (!isValidEmail(email)) errors.push(`Invalid email address: ${email}`);
+    }
+    if (!this.templateRef) {
+      if (!this.subjectLine) errors.push('Empty subject');
+      if (!this.htmlBody && !this.textBody) {
+        errors.push('Empty html, text and template');
+      }
+    } else if (this.htmlBody || this.textBody) {
+      errors.push('A template cannot be combined with html or text');
+    }
+    for (const [name, value] of Object.entries(this.customHeaders)) {
+      if (!/^[!-9;-~]+$/.test(name))
+        errors.push(`Invalid header name: ${name}`);
+      if (/[\r\n]/.test(value)) errors.push(`Invalid header value: ${name}`);
+    }
+    for (const name of this.attachments.keys()) {
+      if (!name) errors.push('Empty attachment name');
+    }
+    return errors;
+  }
+
+  /**
+   * Validate the message and encode its attachments
+   */
+  async build(): Promise<SmtpEmailMessage> {
+    const errors = this.validate();
+    if (errors.length) {
+      throw new ValidationError(errors.join('; '), { data: errors });
+    }
+    const message: SmtpEmailMessage = {
+      subject: this.subjectLine ?? '',
+      from: this.sender,
+      to: this.recipients.to,
+    };
+    if (this.recipients.cc.length) message.cc = this.recipients.cc;
+    if (this.recipients.bcc.length) message.bcc = this.recipients.bcc;
+    if (this.htmlBody !== undefined) message.html = this.htmlBody;
+    if (this.textBody !== undefined) message.text = this.textBody;
+    if (this.templateRef) message.template = this.templateRef;
+    if (Object.keys(this.customHeaders).length) {
+      message.headers = { ...this.customHeaders };
+    }
+    if (this.attachments.size) {
+      message.attachments_binary = {};
+      for (const [name, source] of this.attachments) {
+        message.attachments_binary[name] = encodeBase64(
+          await readAttachment(source)
+        );
+      }
+    }
+    return message;
+  }
+}
+
+function address(email: string, name?: string): SmtpAddress {
+  return name === undefined ? { email } : { name, email };
+}
+
+async function readAttachment(source: AttachmentSource): Promise<Uint8Array> {
+  if (typeof source === 'string') {
+    const { readFile } = await import('fs/promises');
+    return new Uint8Array(await readFile(source));
+  }
+  if (source instanceof Uint8Array) return source;
+  if (source instanceof ArrayBuffer) return new Uint8Array(source);
+  return new Uint8Array(await source.arrayBuffer());
+}
+
+/**
+ * Base64 of binary data, without Node globals
+ */
+function encodeBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,149 @@
+/*
+ * Middleware pipeline wrapping every request sent by the client
+ */
+
+import { SendPulseError } from './errors.mjs';
+import type { HttpResponse } from './transport.mjs';
+
+export interface RequestContext {
+  /** API path, relative to the API URL */
+  path: string;
+  method: string;
+  /** Request parameters, sent in the query string or the body */
+  data: any;
+  headers: Record<string, string>;
+  /** HTTP response, set once received */
+  response?: HttpResponse;
+  /** Free storage shared by the middlewares of a request */
+  meta: Record<string, any>;
+}
+
+/**
+ * Middleware of the request pipeline. It may change the context before
+ * calling `next`, and inspect or replace the result or error it returns.
+ */
+export type Middleware = (
+  context: RequestContext,
+  next: () => Promise<any>
+) => Promise<any>;
+
+/**
+ * Run a request through middlewares, in order, ending with the handler
+ */
+export function runMiddleware(
+  middleware: Middleware[],
+  context: RequestContext,
+  handler: (context: RequestContext) => Promise<any>
+): Promise<any> {
+  const dispatch = (index: number): Promise<any> => {
+    if (index === middleware.length) return handler(context);
+    let called = false;
+    return middleware[index](context, () => {
+      if (called) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      called = true;
+      return dispatch(index + 1);
+    });
+  };
+  return dispatch(0);
+}
+
+const SECRET_HEADERS = ['authorization'];
+const SECRET_FIELDS = ['client_secret', 'access_token'];
+
+/**
+ * Copy of request headers and parameters with credentials masked
+ */
+export function redact(context: Pick<RequestContext, 'headers' | 'data'>): {
+  headers: Record<string, string>;
+  data: any;
+} {
+  const headers: Record<string, string> = {};
+  for (const [name, value] of Object.entries(context.headers)) {
+    headers[name] = SECRET_HEADERS.includes(name.toLowerCase())
+      ? '[REDACTED]'
+      : value;
+  }
+  let data = context.data;
+  if (typeof data === 'object' && data !== null && !Array.isArray(data)) {
+    data = { ...data };
+    for (const field of SECRET_FIELDS) {
+      if (field in data) data[field] = '[REDACTED]';
+    }
+  }
+  return { headers, data };
+}
+
+export interface Timing {
+  path: string;
+  method: string;
+  /** Duration of the request, in milliseconds */
+  duration: number;
+  status?: number;
+  error?: unknown;
+}
+
+/**
+ * Measure the duration of each request
+ */
+export function timingMiddleware(
+  onTiming: (timing: Timing) => void
+): Middleware {
+  return async (context, next) => {
+    const start = Date.now();
+    const report = (error?: unknown) =>
+      onTiming({
+        path: context.path,
+        method: context.method,
+        duration: Date.now() - start,
+        status:
+          context.response?.status ??
+          (error instanceof SendPulseError ? error.status : undefined),
+        error,
+      });
+    try {
+      const result = await next();
+      report();
+      return result;
+    } catch (error) {
+      report(error);
+      throw error;
+    }
+  };
+}
+
+export interface LoggingOptions {
+  /** Defaults to `console` */
+  logger?: Pick<Console, 'debug' | 'error'>;
+  /** Also log the request headers and parameters, with credentials masked */
+  logRequest?: boolean;
+}
+
+/**
+ * Log each request with its outcome and duration
+ */
+export function loggingMiddleware(options: LoggingOptions = {}): Middleware {
+  const logger = options.logger ?? console;
+  const timing = timingMiddleware(
+    ({ path, method, duration, status, error }) => {
+      const line = `SendPulse ${method} ${path} ${status ?? '-'} ${duration}ms`;
+      if (error) {
+        logger.error(
+          `${line} ${error instanceof Error ? error.message : error}`
+        );
+      } else {
+        logger.debug(line);
+      }
+    }
+  );
+  return (context, next) => {
+    if (options.logRequest) {
+      logger.debug(
+        `SendPulse ${context.method} ${context.path}`,
+        redact(context)
+      );
+    }
+    return timing(context, next);
+  };
+}
@@ -0,0 +1,38 @@
+/*
+ * Iteration over paginated list endpoints
+ */
+
+export interface PageOptions {
+  /** Number of items requested per page. Defaults to 100 */
+  pageSize?: number;
+  /** Number of items to skip before the first page. Defaults to 0 */
+  offset?: number;
+}
+
+/**
+ * Iterate over the items of every page, until a page comes back short.
+ * Endpoints ignoring the limit or the offset would be fetched forever, so
+ * iteration also stops after a page longer than requested, and before a page
+ * repeating the previous one.
+ */
+export async function* paginate<T>(
+  fetchPage: (limit: number, offset: number) => Promise<T[]>,
+  options: PageOptions = {}
+): AsyncGenerator<T, void, undefined> {
+  const pageSize = options.pageSize ?? 100;
+  if (!(pageSize > 0)) {
+    throw new Error('Page size must be a positive number');
+  }
+  let offset = options.offset ?? 0;
+  let previous: string | undefined;
+  while (true) {
+    const page = await fetchPage(pageSize, offset);
+    if (!Array.isArray(page)) return;
+    const serialized = JSON.stringify(page);
+    if (serialized === previous) return;
+    yield* page;
+    if (page.length !== pageSize) return;
+    previous = serialized;
+    offset += page.length;
+  }
+}
@@ -0,0 +1,307 @@
+/*
+ * Statistics reports across email campaigns
+ */
+
+import { runBatches } from './bulk.mjs';
+import type { SendPulseClient } from './sendpulse.mjs';
+import type {
+  Campaign,
+  CampaignCountryStat,
+  CampaignInfo,
+  CampaignReferralStat,
+  CampaignStat,
+} from './types.mjs';
+import { csvLine, formatDate } from './util.mjs';
+
+export interface CampaignMetrics {
+  sent: number;
+  delivered: number;
+  opened: number;
+  clicked: number;
+  bounced: number;
+  unsubscribed: number;
+  spam: number;
+}
+
+/** Shares between 0 and 1 */
+export interface CampaignRates {
+  /** Opened emails per delivered email */
+  open_rate: number;
+  /** Clicked emails per delivered email */
+  click_rate: number;
+  /** Bounced emails per sent email */
+  bounce_rate: number;
+  /** Unsubscriptions per delivered email */
+  unsubscribe_rate: number;
+}
+
+export type MetricName = Exclude<keyof CampaignMetrics, 'sent'>;
+
+export interface CampaignReport extends CampaignMetrics, CampaignRates {
+  id: number;
+  name: string;
+  subject: string;
+  send_date: string;
+  status: number;
+  countries?: CampaignCountryStat;
+  referrals?: CampaignReferralStat[];
+}
+
+export interface Report {
+  campaigns: CampaignReport[];
+  totals: CampaignMetrics & CampaignRates;
+  /** Countries of all the campaigns, merged */
+  countries?: CampaignCountryStat;
+  /** Referrals of all the campaigns, merged by link and sorted by count */
+  referrals?: CampaignReferralStat[];
+}
+
+export interface ReportOptions {
+  /** Campaigns to report on. By default, every campaign in the date range */
+  campaigns?: (string | number)[];
+  /** Earliest send date, a `Date` in UTC or `YYYY-MM-DD HH:mm:ss` */
+  from?: Date | string;
+  /** Latest send date, a `Date` in UTC or `YYYY-MM-DD HH:mm:ss` */
+  to?: Date | string;
+  /** Fetch country and referral breakdowns. Defaults to true */
+  breakdowns?: boolean;
+  /** Campaigns fetched in parallel. Defaults to 2 */
+  concurrency?: number;
+  /**
+   * Metric counting a statistics line. By default, guessed from the
+   * explanation of the status.
+   */
+  classify?: (stat: CampaignStat) => MetricName | undefined;
+}
+
+export type ReportSection = 'campaigns' | 'countries' | 'referrals';
+
+/** Explanations of the statuses, in order of precedence */
+const METRIC_PATTERNS: [MetricName, RegExp][] = [
+  ['bounced', /undeliver|not deliver|bounce|error|reject|invalid|not exist/i],
+  ['unsubscribed', /unsubscri/i],
+  ['spam', /spam/i],
+  ['clicked', /click|redirect|link/i],
+  ['opened', /open|read/i],
+  ['delivered', /deliver/i],
+];
+
+const METRICS: (keyof CampaignMetrics)[] = [
+  'sent',
+  'delivered',
+  'opened',
+  'clicked',
+  'bounced',
+  'unsubscribed',
+  'spam',
+];
+
+const RATES: (keyof CampaignRates)[] = [
+  'open_rate',
+  'click_rate',
+  'bounce_rate',
+  'unsubscribe_rate',
+];
+
+/**
+ * Metric of a statistics line, from the explanation of its status
+ */
+export function classifyCampaignStat(
+  stat: CampaignStat
+): MetricName | undefined {
+  return METRIC_PATTERNS.find(([, pattern]) => pattern.test(stat.explain))?.[0];
+}
+
+/**
+ * Metrics of a campaign. Statistics count each email under its last status,
+ * so opened emails are also counted as delivered, and clicked ones as opened.
+ */
+export function campaignMetrics(
+  info: CampaignInfo,
+  classify: ReportOptions['classify'] = classifyCampaignStat
+): CampaignMetrics {
+  const last: Record<MetricName, number> = {
+    delivered: 0,
+    opened: 0,
+    clicked: 0,
+    bounced: 0,
+    unsubscribed: 0,
+    spam: 0,
+  };
+  for (const stat of info.statistics ?? []) {
+    const metric = classify(stat);
+    if (metric) last[metric] += stat.count;
+  }
+  const clicked = last.clicked;
+  const opened = last.opened + clicked + last.unsubscribed;
+  const delivered = last.delivered + opened + last.spam;
+  return {
+    sent: Math.max(info.all_email_qty ?? 0, delivered + last.bounced),
+    delivered,
+    opened,
+    clicked,
+    bounced: last.bounced,
+    unsubscribed: last.unsubscribed,
+    spam: last.spam,
+  };
+}
+
+/**
+ * Rates of campaign metrics
+ */
+export function campaignRates(metrics: CampaignMetrics): CampaignRates {
+  const share = (count: number, total: number) =>
+    total > 0 ? count / total : 0;
+  return {
+    open_rate: share(metrics.opened, metrics.delivered),
+    click_rate: share(metrics.clicked, metrics.delivered),
+    bounce_rate: share(metrics.bounced, metrics.sent),
+    unsubscribe_rate: share(metrics.unsubscribed, metrics.delivered),
+  };
+}
+
+/**
+ * Fetch the statistics of campaigns, given by id or sent in a date range,
+ * and merge them into a report
+ */
+export async function buildCampaignReport(
+  client: SendPulseClient,
+  options: ReportOptions = {}
+): Promise<Report> {
+  const breakdowns = options.breakdowns ?? true;
+  const ids = options.campaigns ?? (await campaignsInRange(client, options));
+
+  const { batches } = await runBatches(
+    ids,
+    async ([id]) => {
+      const info = await client.getCampaignInfo(String(id));
+      const metrics = campaignMetrics(info, options.classify);
+      const report: CampaignReport = {
+        id: info.id,
+        name: info.name,
+        subject: info.message?.subject,
+        send_date: info.send_date,
+        status: info.status,
+        ...metrics,
+        ...campaignRates(metrics),
+      };
+      if (breakdowns) {
+        report.countries = await client.campaignStatByCountries(String(id));
+        report.referrals = await client.campaignStatByReferrals(String(id));
+      }
+      return report;
+    },
+    { batchSize: 1, concurrency: options.concurrency ?? 2 }
+  );
+  const failed = batches.find((batch) => !batch.success);
+  if (failed) throw failed.error;
+  const campaigns = batches.map((batch) => batch.result as CampaignReport);
+
+  const totals = Object.fromEntries(
+    METRICS.map((metric) => [
+      metric,
+      campaigns.reduce((sum, campaign) => sum + campaign[metric], 0),
+    ])
+  ) as unknown as CampaignMetrics;
+  const report: Report = {
+    campaigns,
+    totals: { ...totals, ...campaignRates(totals) },
+  };
+  if (breakdowns) {
+    report.countries = {};
+    const referrals = new Map<string, number>();
+    for (const campaign of campaigns) {
+      for (const [country, count] of Object.entries(campaign.countries ?? {})) {
+        report.countries[country] = (report.countries[country] ?? 0) + count;
+      }
+      for (const { link, count } of campaign.referrals ?? []) {
+        referrals.set(link, (referrals.get(link) ?? 0) + count);
+      }
+    }
+    report.referrals = Array.from(referrals, ([link, count]) => ({
+      link,
+      count,
+    })).sort((a, b) => b.count - a.count);
+  }
+  return report;
+}
+
+/**
+ * Report as indented JSON
+ */
+export function reportToJson(report: Report): string {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Section of a report as CSV. The campaigns section ends with a `total` row.
+ */
+export function reportToCsv(
+  report: Report,
+  section: ReportSection = 'campaigns'
+): string {
+  if (section === 'countries') {
+    return (
+      csvLine(['country', 'count']) +
+      Object.entries(report.countries ?? {})
+        .map((entry) => csvLine(entry))
+        .join('')
+    );
+  }
+  if (section === 'referrals') {
+    return (
+      csvLine(['link', 'count']) +
+      (report.referrals ?? [])
+        .map(({ link, count }) => csvLine([link, count]))
+        .join('')
+    );
+  }
+  const columns = [...METRICS, ...RATES];
+  return (
+    csvLine(['id', 'name', 'subject', 'send_date', ...columns]) +
+    report.campaigns
+      .map((campaign) =>
+        csvLine([
+          campaign.id,
+          campaign.name,
+          campaign.subject,
+          campaign.send_date,
+          ...columns.map((column) => campaign[column]),
+        ])
+      )
+      .join('') +
+    csvLine(['total', '', '', '', ...columns.map((c) => report.totals[c])])
+  );
+}
+
+/**
+ * Ids of the campaigns sent in the date range of the options
+ */
+async function campaignsInRange(
+  client: SendPulseClient,
+  options: ReportOptions
+): Promise<number[]> {
+  const bound = (date?: Date | string) =>
+    date instanceof Date ? formatDate(date) : date;
+  const from = bound(options.from);
+  const to = bound(options.to);
+  const ids: number[] = [];
+  for await (const campaign of client.iterateCampaigns()) {
+    if (inRange(campaign, from, to)) ids.push(campaign.id);
+  }
+  return ids;
+}
+
+/**
+ * Whether a campaign was sent in a range. Dates in the
+ * `YYYY-MM-DD HH:mm:ss` format compare as strings. Campaigns without a send
+ * date are in no range.
+ */
+function inRange(campaign: Campaign, from?: string, to?: string): boolean {
+  if (from === undefined && to === undefined) return true;
+  if (!campaign.send_date) return false;
+  const date = campaign.send_date.replace('T', ' ').slice(0, 19);
+  return (
+    (from === undefined || date >= from) && (to === undefined || date <= to)
+  );
+}
@@ -0,0 +1,128 @@
+/*
+ * Retry policy of failed requests
+ */
+
+import { NetworkError, RateLimitError, SendPulseError } from './errors.mjs';
+
+/**
+ * Details passed to the `onRetry` hook
+ */
+export interface RetryEvent {
+  /** Number of the attempt that failed, starting at 1 */
+  attempt: number;
+  /** Delay before the next attempt, in milliseconds */
+  delay: number;
+  error: SendPulseError;
+  path: string;
+  method: string;
+}
+
+export interface RetryOptions {
+  /** Total number of attempts, including the first one. Defaults to 3 */
+  maxAttempts?: number;
+  /** Delay before the first retry, in milliseconds. Defaults to 500 */
+  baseDelay?: number;
+  /** Upper bound of any delay, in milliseconds. Defaults to 30000 */
+  maxDelay?: number;
+  /** Randomize delays between 0 and the computed backoff. Defaults to true */
+  jitter?: boolean;
+  /** HTTP statuses worth retrying. Defaults to 408, 429, 500, 502, 503, 504 */
+  retryStatuses?: number[];
+  /**
+   * HTTP methods safe to retry after a 5xx status or a lost response.
+   * Defaults to GET, HEAD, OPTIONS, PUT, DELETE. Requests that were not
+   * processed, rejected with a 429 or never connected, are retried whatever
+   * their method.
+   */
+  retryMethods?: string[];
+  /** Wait for the `Retry-After` delay of 429 responses. Defaults to true */
+  respectRetryAfter?: boolean;
+  /** Called before each retry */
+  onRetry?: (event: RetryEvent) => void;
+}
+
+export type ResolvedRetryOptions = Required<Omit<RetryOptions, 'onRetry'>> &
+  Pick<RetryOptions, 'onRetry'>;
+
+const DEFAULT_RETRY: ResolvedRetryOptions = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: true,
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  retryMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  respectRetryAfter: true,
+};
+
+/**
+ * Merge retry options with the defaults. `false` disables retries.
+ */
+export function resolveRetryOptions(
+  options?: RetryOptions | false
+): ResolvedRetryOptions {
+  if (options === false) return { ...DEFAULT_RETRY, maxAttempts: 1 };
+  return { ...DEFAULT_RETRY, ...options };
+}
+
+/**
+ * Whether a failed attempt may be retried
+ */
+export function isRetryable(
+  error: unknown,
+  method: string,
+  attempt: number,
+  options: ResolvedRetryOptions
+): error is SendPulseError {
+  if (attempt >= options.maxAttempts) return false;
+  if (error instanceof RateLimitError) {
+    return options.retryStatuses.includes(429);
+  }
+  if (error instanceof NetworkError && isConnectionRefused(error)) return true;
+  if (!options.retryMethods.includes(method.toUpperCase())) return false;
+  if (error instanceof NetworkError) return true;
+  return (
+    error instanceof SendPulseError &&
+    error.status !== undefined &&
+    options.retryStatuses.includes(error.status)
+  );
+}
+
+/**
+ * Delay before retrying the given failed attempt, in milliseconds
+ */
+export function retryDelay(
+  error: SendPulseError,
+  attempt: number,
+  options: ResolvedRetryOptions
+): number {
+  if (
+    options.respectRetryAfter &&
+    error instanceof RateLimitError &&
+    error.retryAfter !== undefined
+  ) {
+    return Math.min(error.retryAfter, options.maxDelay);
+  }
+  const backoff = Math.min(
+    options.baseDelay * 2 ** (attempt - 1),
+    options.maxDelay
+  );
+  return options.jitter ? Math.round(Math.random() * backoff) : backoff;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+export function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a request failed before reaching the server, in which case it was
+ * never processed
+ */
+function isConnectionRefused(error: unknown): boolean {
+  for (let cause: any = error; cause; cause = cause.cause) {
+    if (cause.code === 'ECONNREFUSED') return true;
+  }
+  return false;
+}
@@ -0,0 +1,74 @@
+/*
+ * Building of request paths, query strings and bodies
+ */
+
+/** Methods whose parameters are sent in the query string */
+const QUERY_METHODS = ['GET', 'HEAD'];
+
+export interface EncodedRequest {
+  /** Path relative to the API URL, with its query string */
+  path: string;
+  /** JSON body, if the request has one */
+  body?: string;
+}
+
+/**
+ * Fill the `{name}` segments of a route with encoded parameters
+ */
+export function route(
+  template: string,
+  params: Record<string, string | number>
+): string {
+  return template.replace(/\{(\w+)\}/g, (_, name: string) => {
+    const value = params[name];
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Missing route parameter: ${name}`);
+    }
+    return encodeURIComponent(String(value));
+  });
+}
+
+/**
+ * Encode request parameters for the given method: in the query string for
+ * GET and HEAD requests, as a JSON body otherwise
+ */
+export function encodeRequest(
+  method: string,
+  path: string,
+  data: any
+): EncodedRequest {
+  if (QUERY_METHODS.includes(method.toUpperCase())) {
+    const query = toQueryString(data);
+    if (!query) return { path };
+    return { path: path + (path.includes('?') ? '&' : '?') + query };
+  }
+  if (
+    data === undefined ||
+    data === null ||
+    (typeof data === 'object' && !Object.keys(data).length)
+  ) {
+    return { path };
+  }
+  return { path, body: JSON.stringify(data) };
+}
+
+/**
+ * Serialize parameters into a query string, skipping undefined values and
+ * encoding objects as JSON
+ */
+export function toQueryString(data: Record<string, any> = {}): string {
+  const query = new URLSearchParams();
+  for (const key in data) {
+    if (!Object.prototype.hasOwnProperty.call(data, key)) continue;
+    const value = data[key];
+    if (value === undefined || value === null) continue;
+    if (value instanceof Date) {
+      query.append(key, value.toISOString());
+    } else if (typeof value === 'object') {
+      query.append(key, JSON.stringify(value));
+    } else {
+      query.append(key, String(value));
+    }
+  }
+  return query.toString();
+}
@@ -0,0 +1,131 @@
+/*
+ * Client-side rate limiting and concurrency control of requests
+ */
+
+export type RequestPriority = 'high' | 'normal' | 'low';
+
+export interface SchedulerOptions {
+  /** Maximum number of requests in flight. Unlimited by default */
+  maxConcurrent?: number;
+  /** Maximum number of requests started per second */
+  requestsPerSecond?: number;
+  /** Maximum number of requests started per minute */
+  requestsPerMinute?: number;
+  /**
+   * Lane of a request. By default, SMTP and SMS sends are `high` priority and
+   * address book email imports are `low` priority.
+   */
+  priority?: (path: string, method: string) => RequestPriority;
+}
+
+const LANES: RequestPriority[] = ['high', 'normal', 'low'];
+
+interface Task {
+  run: () => void;
+}
+
+/**
+ * Default lane of a request
+ */
+export function defaultPriority(path: string, method: string): RequestPriority {
+  if (method.toUpperCase() === 'POST' && /^(smtp\/emails|sms\/send)/.test(path))
+    return 'high';
+  if (/^addressbooks\/([^/]+\/)?emails/.test(path)) return 'low';
+  return 'normal';
+}
+
+/**
+ * Queue running requests by priority lane, within concurrency and rate limits
+ */
+export class RequestScheduler {
+  private readonly queues: Record<RequestPriority, Task[]> = {
+    high: [],
+    normal: [],
+    low: [],
+  };
+  private readonly started: number[] = [];
+  private running = 0;
+  private timer?: ReturnType<typeof setTimeout>;
+
+  constructor(private readonly options: SchedulerOptions = {}) {}
+
+  /**
+   * Number of requests waiting for a slot
+   */
+  get pending(): number {
+    return LANES.reduce((sum, lane) => sum + this.queues[lane].length, 0);
+  }
+
+  /**
+   * Run a request once a slot of its lane is available
+   */
+  schedule<T>(
+    fn: () => Promise<T>,
+    priority: RequestPriority = 'normal'
+  ): Promise<T> {
+    return new Promise<T>((resolve, reject) => {
+      this.queues[priority].push({
+        run: () => {
+          fn()
+            .then(resolve, reject)
+            .finally(() => {
+              this.running--;
+              this.drain();
+            });
+        },
+      });
+      this.drain();
+    });
+  }
+
+  /**
+   * Lane of a request, according to the `priority` option
+   */
+  priorityOf(path: string, method: string): RequestPriority {
+    return (this.options.priority ?? defaultPriority)(path, method);
+  }
+
+  private drain(): void {
+    while (this.pending) {
+      const { maxConcurrent } = this.options;
+      if (maxConcurrent !== undefined && this.running >= maxConcurrent) return;
+      const wait = this.rateDelay();
+      if (wait > 0) {
+        this.timer ??= setTimeout(() => {
+          this.timer = undefined;
+          this.drain();
+        }, wait);
+        return;
+      }
+      const lane = LANES.find((lane) => this.queues[lane].length);
+      const task = this.queues[lane].shift();
+      this.running++;
+      this.started.push(Date.now());
+      task.run();
+    }
+  }
+
+  /**
+   * Time to wait before the rate limits allow another request
+   */
+  private rateDelay(): number {
+    const now = Date.now();
+    const windows: [number | undefined, number][] = [
+      [this.options.requestsPerSecond, 1000],
+      [this.options.requestsPerMinute, 60000],
+    ];
+    // Forget the requests started before the longest window
+    while (this.started.length && now - this.started[0] >= 60000)
+      this.started.shift();
+
+    let delay = 0;
+    for (const [limit, period] of windows) {
+      if (limit === undefined) continue;
+      const recent = this.started.filter((time) => now - time < period);
+      if (recent.length >= limit) {
+        delay = Math.max(delay, recent[recent.length - limit] + period - now);
+      }
+    }
+    return delay;
+  }
+}
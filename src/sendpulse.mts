@@ -6,57 +6,390 @@
  * https://sendpulse.com/api
  */
 
-import axios from 'axios';
-import { base64, serializeArray } from './util.mjs';
-
-interface TokenData {
-  access_token: string;
-  expires_at: number;
+import { runBatches } from './bulk.mjs';
+import type { BulkOptions, BulkResult } from './bulk.mjs';
+import { cassetteTransport } from './cassette.mjs';
+import type { CassetteOptions } from './cassette.mjs';
+import { ChatbotsClient } from './chatbots.mjs';
+import { DryRunRecorder } from './dry-run.mjs';
+import type { DryRunOptions } from './dry-run.mjs';
+import {
+  AuthenticationError,
+  createSendPulseError,
+  NetworkError,
+  SendPulseError,
+} from './errors.mjs';
+import { EmailMessageBuilder } from './mail.mjs';
+import { runMiddleware } from './middleware.mjs';
+import type { Middleware, RequestContext } from './middleware.mjs';
+import { paginate } from './pagination.mjs';
+import type { PageOptions } from './pagination.mjs';
+import {
+  isRetryable,
+  resolveRetryOptions,
+  retryDelay,
+  sleep,
+} from './retry.mjs';
+import type { ResolvedRetryOptions, RetryOptions } from './retry.mjs';
+import { encodeRequest, route } from './routes.mjs';
+import { RequestScheduler } from './scheduler.mjs';
+import type { SchedulerOptions } from './scheduler.mjs';
+import { SpendGuard } from './spend-guard.mjs';
+import type { SpendGuardOptions } from './spend-guard.mjs';
+import { isTokenValid } from './token-store.mjs';
+import type { TokenData, TokenStore } from './token-store.mjs';
+import { defaultTransport } from './transport.mjs';
+import type { Transport } from './transport.mjs';
+import { base64, formatDate, serializeArray, sha256 } from './util.mjs';
+import type {
+  AddressBook,
+  AddressBookContact,
+  AddressBookEmail,
+  Automation,
+  AutomationEventData,
+  AutomationEventResult,
+  AutomationStatistics,
+  Balance,
+  AbTestCampaign,
+  BlacklistEntry,
+  Campaign,
+  CampaignCost,
+  CampaignCountryStat,
+  CampaignInfo,
+  CampaignOptions,
+  CampaignReferralStat,
+  CampaignUpdate,
+  CampaignVariant,
+  CreatedCampaign,
+  EmailCampaignStat,
+  EmailInfo,
+  EmailTemplate,
+  PushCampaign,
+  PushCampaignInfo,
+  PushCampaignOptions,
+  PushSubscription,
+  PushWebsite,
+  PushWebsiteVariable,
+  ResultResponse,
+  Sender,
+  SmsBlacklistEntry,
+  SmsCampaign,
+  SmsCampaignCost,
+  SmsCampaignInfo,
+  SmsPhone,
+  SmsPhoneInfo,
+  SmsSendResult,
+  SmtpEmail,
+  SmtpEmailMessage,
+  SmtpSendResult,
+  TotalResponse,
+  Variables,
+} from './types.mjs';
+import { CampaignWatcher } from './watcher.mjs';
+import type { CampaignStatusUpdate, WatchOptions } from './watcher.mjs';
+
+export interface SendPulseClientOptions {
+  /** Retry policy of failed requests, `false` to disable retries */
+  retry?: RetryOptions | false;
+  /** Storage of access tokens shared between clients and processes */
+  tokenStore?: TokenStore;
+  /**
+   * Concurrency and rate limits of requests. Pass a `RequestScheduler` to
+   * share the limits between several clients.
+   */
+  scheduler?: SchedulerOptions | RequestScheduler;
+  /**
+   * HTTP transport of the requests. Defaults to `fetch` where available, and
+   * axios otherwise.
+   */
+  transport?: Transport;
+  /** Middlewares wrapping every request, in order */
+  middleware?: Middleware[];
+  /** URL of the Automation 360 events API */
+  eventsUrl?: string;
+  /**
+   * Record mutating calls instead of sending them, answering them with
+   * synthetic responses
+   */
+  dryRun?: boolean | DryRunOptions;
+  /**
+   * Record the traffic to a cassette file, or replay it from one instead of
+   * calling the API. Credentials are redacted from the recordings.
+   */
+  cassette?: CassetteOptions;
+  /**
+   * Check the cost of `createCampaign`, `createAbTestCampaign`,
+   * `smsAddCampaign` and `smsSend` against a budget and the balance before
+   * sending
+   */
+  spendGuard?: SpendGuardOptions;
 }
 
 export class SendPulseClient {
+  /** Chatbot APIs, by messenger */
+  readonly chatbots: ChatbotsClient;
+  /** Calls recorded in dry-run mode */
+  readonly dryRun?: DryRunRecorder;
+  /** Cost checks of the sends */
+  readonly spendGuard?: SpendGuard;
   private token?: TokenData;
+  private tokenRequest?: Promise<void>;
+  private readonly retry: ResolvedRetryOptions;
+  private readonly tokenStore?: TokenStore;
+  private readonly scheduler?: RequestScheduler;
+  private readonly transport: Transport;
+  private readonly middleware: Middleware[];
+  private readonly eventsUrl: string;
+  private tokenKey?: Promise<string>;
 
   constructor(
     private readonly clientId: string,
     private readonly clientSecret: string = '',
-    private readonly apiUrl = 'https://api.sendpulse.com'
-  ) {}
+    private readonly apiUrl = 'https://api.sendpulse.com',
+    options: SendPulseClientOptions = {}
+  ) {
+    this.retry = resolveRetryOptions(options.retry);
+    this.tokenStore = options.tokenStore;
+    this.transport = options.transport ?? defaultTransport();
+    if (options.cassette) {
+      this.transport = cassetteTransport(options.cassette, this.transport);
+    }
+    this.middleware = [...(options.middleware ?? [])];
+    this.eventsUrl = options.eventsUrl ?? 'https://events.sendpulse.com';
+    this.chatbots = new ChatbotsClient(this);
+    if (options.dryRun) {
+      this.dryRun = new DryRunRecorder(
+        options.dryRun === true ? {} : options.dryRun
+      );
+    }
+    if (options.spendGuard) {
+      this.spendGuard = new SpendGuard(this, options.spendGuard);
+    }
+    if (options.scheduler instanceof RequestScheduler) {
+      this.scheduler = options.scheduler;
+    } else if (options.scheduler) {
+      this.scheduler = new RequestScheduler(options.scheduler);
+    }
+  }
 
   /**
-   * Form and send request to API service
+   * Form and send request to API service, retrying transient failures. In
+   * dry-run mode, mutating requests are only recorded.
    */
-  async sendRequest(
+  async sendRequest<T = any>(
     path: string,
     method: string = 'POST',
     data: any,
     useToken: boolean
-  ): Promise<any> {
-    const headers: Record<string, any> = {};
-    headers['Content-Type'] = 'application/json';
-    headers['Content-Length'] = Buffer.byteLength(JSON.stringify(data));
+  ): Promise<T> {
+    if (useToken && this.dryRun?.intercepts(method)) {
+      return this.dryRun.record(path, method, data);
+    }
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.performRequest<T>(path, method, data, useToken);
+      } catch (error) {
+        if (!isRetryable(error, method, attempt, this.retry)) throw error;
+        const delay = retryDelay(error, attempt, this.retry);
+        this.retry.onRetry?.({ attempt, delay, error, path, method });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a single request attempt, re-authenticating once if the token is
+   * rejected
+   */
+  private async performRequest<T>(
+    path: string,
+    method: string,
+    data: any,
+    useToken: boolean
+  ): Promise<T> {
+    if (!useToken) return this.send<T>(path, method, data);
+
+    const token = await this.authorize();
+    try {
+      return await this.send<T>(path, method, data, token);
+    } catch (error) {
+      if (!(error instanceof AuthenticationError) || error.status !== 401)
+        throw error;
+      // The token was revoked or expired early: drop it unless a concurrent
+      // request already replaced it, then replay the request once.
+      await this.invalidateToken(token);
+      return this.send<T>(path, method, data, await this.authorize());
+    }
+  }
+
+  /**
+   * Send request to API service, once the scheduler allows it
+   */
+  private async send<T>(
+    path: string,
+    method: string,
+    data: any,
+    token?: string
+  ): Promise<T> {
+    if (!this.scheduler) return this.dispatch<T>(path, method, data, token);
+    return this.scheduler.schedule(
+      () => this.dispatch<T>(path, method, data, token),
+      this.scheduler.priorityOf(path, method)
+    );
+  }
+
+  /**
+   * Run request through the middleware pipeline
+   */
+  private async dispatch<T>(
+    path: string,
+    method: string,
+    data: any,
+    token?: string
+  ): Promise<T> {
+    const headers: Record<string, string> = {};
+    if (token !== undefined) {
+      headers['Authorization'] = 'Bearer ' + token;
+    }
+    const context: RequestContext = { path, method, data, headers, meta: {} };
+    return runMiddleware(this.middleware, context, (context) =>
+      this.transmit(context)
+    );
+  }
 
-    if (useToken) {
-      if (!this.token || Date.now() >= this.token.expires_at)
-        await this.getToken();
-      headers['Authorization'] = 'Bearer ' + this.token.access_token;
+  /**
+   * Send request with the transport, raising errors for failed responses
+   */
+  private async transmit(context: RequestContext): Promise<any> {
+    const { path, method } = context;
+    const request = encodeRequest(method, path, context.data);
+    const headers = { ...context.headers };
+    if (request.body !== undefined) {
+      headers['Content-Type'] ??= 'application/json';
     }
 
-    return (
-      await axios.request({
+    try {
+      context.response = await this.transport({
         method,
-        url: new URL(path, this.apiUrl).href,
-        data,
+        url: new URL(request.path, this.apiUrl).href,
         headers,
-      })
-    ).data;
+        body: request.body,
+      });
+    } catch (error) {
+      if (error instanceof SendPulseError) throw error;
+      throw new NetworkError(error?.message ?? String(error), {
+        code: error?.code,
+        path,
+        method,
+        cause: error,
+      });
+    }
+    const { status, data, headers: responseHeaders } = context.response;
+    if (status >= 400) {
+      throw createSendPulseError(status, data, path, method, responseHeaders);
+    }
+    return data;
   }
 
   /**
-   * Get token and store it
+   * Check the cost of an email campaign against the spend guard, if any.
+   * Only sends to an address book can be estimated.
+   */
+  private async guardEmailSpend(
+    book_id?: string | number,
+    operation = 'createCampaign'
+  ): Promise<void> {
+    if (!this.spendGuard) return;
+    const estimate =
+      book_id === undefined
+        ? undefined
+        : {
+            cost: Number(
+              (await this.getAddressBookCost(book_id)).overdraftAllEmailsPrice
+            ),
+          };
+    await this.spendGuard.check(operation, estimate);
+  }
+
+  /**
+   * Check the cost of an SMS send against the spend guard, if any
+   */
+  private async guardSmsSpend(
+    operation: string,
+    sender_name: string,
+    body: string,
+    addressbook_id: string,
+    phones: string[]
+  ): Promise<void> {
+    if (!this.spendGuard) return;
+    const { price, currency } = await this.smsGetCampaignCost(
+      sender_name,
+      body,
+      addressbook_id,
+      phones
+    );
+    await this.spendGuard.check(operation, { cost: Number(price), currency });
+  }
+
+  /**
+   * Append a middleware to the request pipeline
+   */
+  use(middleware: Middleware): this {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Get a valid access token, from the token store or a new one if needed
+   */
+  private async authorize(): Promise<string> {
+    if (!isTokenValid(this.token)) {
+      this.tokenRequest ??= this.loadToken().finally(() => {
+        this.tokenRequest = undefined;
+      });
+      await this.tokenRequest;
+    }
+    return this.token.access_token;
+  }
+
+  /**
+   * Get token and store it. Concurrent calls share the same request.
    */
 
   async getToken(): Promise<void> {
+    this.tokenRequest ??= this.requestToken().finally(() => {
+      this.tokenRequest = undefined;
+    });
+    return this.tokenRequest;
+  }
+
+  private async loadToken(): Promise<void> {
+    if (this.tokenStore) {
+      const token = await this.tokenStore.get(await this.getTokenKey());
+      if (isTokenValid(token)) {
+        this.token = token;
+        return;
+      }
+    }
+    await this.requestToken();
+  }
+
+  private async invalidateToken(access_token: string): Promise<void> {
+    if (this.token?.access_token === access_token) this.token = undefined;
+    if (this.tokenStore) {
+      const key = await this.getTokenKey();
+      const stored = await this.tokenStore.get(key);
+      if (stored?.access_token === access_token)
+        await this.tokenStore.delete(key);
+    }
+  }
+
+  private getTokenKey(): Promise<string> {
+    this.tokenKey ??= sha256(this.clientId + '::' + this.clientSecret);
+    return this.tokenKey;
+  }
+
+  private async requestToken(): Promise<void> {
     const data = await this.sendRequest(
       'oauth/access_token',
       'POST',
@@ -72,21 +405,40 @@ export class SendPulseClient {
       // Store the expiration time of the token, minus 60 seconds to be sure.
       expires_at: Date.now() + (data.expires_in - 60) * 1000,
     };
+    if (this.tokenStore)
+      await this.tokenStore.set(await this.getTokenKey(), this.token);
   }
 
   /**
    * List of address books
    */
 
-  async listAddressBooks(): Promise<any> {
-    return this.sendRequest('addressbooks', 'GET', {}, true);
+  async listAddressBooks(
+    limit?: number,
+    offset?: number
+  ): Promise<AddressBook[]> {
+    const data: Record<string, any> = {};
+    if (limit !== undefined) data['limit'] = limit;
+    if (offset !== undefined) data['offset'] = offset;
+    return this.sendRequest('addressbooks', 'GET', data, true);
+  }
+
+  /**
+   * Iterate over all address books
+   */
+
+  iterateAddressBooks(options?: PageOptions): AsyncGenerator<AddressBook> {
+    return paginate(
+      (limit, offset) => this.listAddressBooks(limit, offset),
+      options
+    );
   }
 
   /**
    * Create new address book
    */
 
-  async createAddressBook(book_name: string): Promise<any> {
+  async createAddressBook(book_name: string): Promise<ResultResponse> {
     if (book_name === undefined) {
       throw new Error('Empty book name');
     }
@@ -98,82 +450,149 @@ export class SendPulseClient {
    * Edit address book
    */
 
-  async editAddressBook(id: string, new_name: string): Promise<any> {
+  async editAddressBook(id: string, new_name: string): Promise<ResultResponse> {
     if (id === undefined || new_name === undefined) {
       throw new Error('Empty book id or new name');
     }
-    const data = { id, name: new_name };
-    return this.sendRequest('addressbooks', 'PUT', data, true);
+    const data = { name: new_name };
+    return this.sendRequest(
+      route('addressbooks/{id}', { id }),
+      'PUT',
+      data,
+      true
+    );
   }
 
   /**
    * Remove address book
    */
 
-  async removeAddressBook(id: string): Promise<any> {
+  async removeAddressBook(id: string): Promise<ResultResponse> {
     if (id === undefined) {
       throw new Error('Empty book id');
     }
-    const data = { id };
-    return this.sendRequest('addressbooks', 'DELETE', data, true);
+    return this.sendRequest(
+      route('addressbooks/{id}', { id }),
+      'DELETE',
+      {},
+      true
+    );
   }
 
   /**
    * List email templates
    */
 
-  async listEmailTemplates(): Promise<any> {
-    return this.sendRequest('template', 'GET', {}, true);
+  async listEmailTemplates(): Promise<EmailTemplate[]> {
+    return this.sendRequest('templates', 'GET', {}, true);
   }
 
   /**
    * Get email template
    */
 
-  async getEmailTemplate(id: string): Promise<any> {
+  async getEmailTemplate(id: string): Promise<EmailTemplate> {
     if (id === undefined) {
       throw new Error('Empty template id');
     }
-    const data = { id };
-    return this.sendRequest('template', 'GET', data, true);
+    return this.sendRequest(route('template/{id}', { id }), 'GET', {}, true);
   }
 
   /**
    * Get book info
    */
 
-  async getBookInfo(id: string): Promise<any> {
+  async getBookInfo(id: string): Promise<AddressBook[]> {
     if (id === undefined) {
       throw new Error('Empty book id');
     }
-    const data = { id };
-    return this.sendRequest('addressbooks/info', 'GET', data, true);
+    return this.sendRequest(
+      route('addressbooks/{id}', { id }),
+      'GET',
+      {},
+      true
+    );
   }
 
   /**
    * Get emails from book
    */
 
-  async getAddressBookEmails(id: string): Promise<any> {
+  async getAddressBookEmails(
+    id: string,
+    limit?: number,
+    offset?: number
+  ): Promise<AddressBookContact[]> {
     if (id === undefined) {
       throw new Error('Empty book id');
     }
-    const data = { id };
-    return this.sendRequest('addressbooks/emails', 'GET', data, true);
+    const data: Record<string, any> = {};
+    if (limit !== undefined) data['limit'] = limit;
+    if (offset !== undefined) data['offset'] = offset;
+    return this.sendRequest(
+      route('addressbooks/{id}/emails', { id }),
+      'GET',
+      data,
+      true
+    );
+  }
+
+  /**
+   * Iterate over all emails of a book
+   */
+
+  iterateAddressBookEmails(
+    id: string,
+    options?: PageOptions
+  ): AsyncGenerator<AddressBookContact> {
+    if (id === undefined) {
+      throw new Error('Empty book id');
+    }
+    return paginate(
+      (limit, offset) => this.getAddressBookEmails(id, limit, offset),
+      options
+    );
   }
 
   /**
    * Add address book emails
    */
-  async addAddressBookEmails(book_id: string, emails: any[]): Promise<any> {
+  async addAddressBookEmails(
+    book_id: string,
+    emails: AddressBookEmail[]
+  ): Promise<ResultResponse> {
     if (book_id === undefined || emails === undefined) {
       throw new Error('Empty book id or emails');
     }
-    const data: Record<string, any> = { addressBookId: book_id };
+    const data: Record<string, any> = {};
     if (emails.length) {
       data['emails'] = JSON.stringify(emails);
     }
-    return this.sendRequest('addressbooks/emails', 'POST', data, true);
+    return this.sendRequest(
+      route('addressbooks/{id}/emails', { id: book_id }),
+      'POST',
+      data,
+      true
+    );
+  }
+
+  /**
+   * Import address book emails in batches. Failed batches are reported in the
+   * result, whose `remaining` emails can be passed again to resume the import.
+   */
+  async importAddressBookEmails(
+    book_id: string,
+    emails: AddressBookEmail[],
+    options?: BulkOptions
+  ): Promise<BulkResult<AddressBookEmail, ResultResponse>> {
+    if (book_id === undefined || emails === undefined) {
+      throw new Error('Empty book id or emails');
+    }
+    return runBatches(
+      emails,
+      (batch) => this.addAddressBookEmails(book_id, batch),
+      options
+    );
   }
 
   /**
@@ -182,27 +601,31 @@ export class SendPulseClient {
   async removeAddressBookEmails(
     book_id: string,
     emails: string[]
-  ): Promise<any> {
+  ): Promise<ResultResponse> {
     if (book_id === undefined || emails === undefined) {
       throw new Error('Empty book id or emails');
     }
-    const data: Record<string, any> = { addressBookId: book_id };
+    const data: Record<string, any> = {};
     if (emails.length) {
       data['emails'] = JSON.stringify(emails);
     }
-    return this.sendRequest('addressbooks/emails', 'DELETE', data, true);
+    return this.sendRequest(
+      route('addressbooks/{id}/emails', { id: book_id }),
+      'DELETE',
+      data,
+      true
+    );
   }
 
   /**
    * Get email info
    */
 
-  async getEmailInfo(email: string): Promise<any> {
+  async getEmailInfo(email: string): Promise<EmailInfo[]> {
     if (email === undefined) {
       throw new Error('Empty email');
     }
-    const data = { email };
-    return this.sendRequest('emails/' + base64(email), 'GET', data, true);
+    return this.sendRequest('emails/' + base64(email), 'GET', {}, true);
   }
 
   /**
@@ -212,8 +635,8 @@ export class SendPulseClient {
   async updateEmailVariables(
     book_id: string,
     email: string,
-    variables: Record<string, any>
-  ): Promise<any> {
+    variables: Variables
+  ): Promise<ResultResponse> {
     if (
       book_id === undefined ||
       email === undefined ||
@@ -221,16 +644,18 @@ export class SendPulseClient {
     ) {
       throw new Error('Empty book id or email or variables');
     }
-    const data: Record<string, any> = {
-      addressBookId: book_id,
-      email,
-      variables,
-    };
-    return this.sendRequest('addressbooks/emails/variable', 'PUT', data, true);
+    const data: Record<string, any> = { email, variables };
+    return this.sendRequest(
+      route('addressbooks/{id}/emails/variable', { id: book_id }),
+      'POST',
+      data,
+      true
+    );
   }
 
   /**
-   * Get campaigns cost
+   * Get the cost of a campaign sent to an address book. The cost of a
+   * campaign sent to a list of emails cannot be estimated.
    */
 
   async campaignCost(
@@ -241,7 +666,7 @@ export class SendPulseClient {
     body: string,
     book_id: string,
     emails: string[]
-  ): Promise<any> {
+  ): Promise<CampaignCost> {
     if (name === undefined || subject === undefined) {
       throw new Error('Empty campaign name or subject');
     }
@@ -251,58 +676,73 @@ export class SendPulseClient {
     if (book_id === undefined && emails === undefined) {
       throw new Error('Empty book id and emails array');
     }
-    const data: Record<string, any> = {
-      name,
-      subject,
-      from,
-      fromName: from_name,
-      body,
-    };
-    if (book_id !== undefined) {
-      data['addressBookId'] = book_id;
+    if (book_id === undefined) {
+      throw new Error('Cannot estimate the cost of a campaign without a book');
     }
-    if (emails !== undefined && emails.length) {
-      data['emails'] = JSON.stringify(emails);
+    return this.getAddressBookCost(book_id);
+  }
+
+  /**
+   * Get cost of a campaign sent to an address book
+   */
+
+  async getAddressBookCost(id: string | number): Promise<CampaignCost> {
+    if (id === undefined) {
+      throw new Error('Empty book id');
     }
-    return this.sendRequest('campaigns', 'GET', data, true);
+    return this.sendRequest(
+      route('addressbooks/{id}/cost', { id }),
+      'GET',
+      {},
+      true
+    );
   }
 
   /**
    * List campaigns
    */
 
-  async listCampaigns(limit?: number, offset?: number): Promise<any> {
+  async listCampaigns(limit?: number, offset?: number): Promise<Campaign[]> {
     const data: Record<string, any> = {};
     if (limit !== undefined) data['limit'] = limit;
     if (offset !== undefined) data['offset'] = offset;
     return this.sendRequest('campaigns', 'GET', data, true);
   }
 
+  /**
+   * Iterate over all campaigns
+   */
+
+  iterateCampaigns(options?: PageOptions): AsyncGenerator<Campaign> {
+    return paginate(
+      (limit, offset) => this.listCampaigns(limit, offset),
+      options
+    );
+  }
+
   /**
    * Get campaign info
    */
 
-  async getCampaignInfo(id: string): Promise<any> {
+  async getCampaignInfo(id: string): Promise<CampaignInfo> {
     if (id === undefined) {
       throw new Error('Empty campaign id');
     }
-    const data = { id };
-    return this.sendRequest('campaigns/' + id, 'GET', data, true);
+    return this.sendRequest(route('campaigns/{id}', { id }), 'GET', {}, true);
   }
 
   /**
    * Campaign stat by countries
    */
 
-  async campaignStatByCountries(id: string): Promise<any> {
+  async campaignStatByCountries(id: string): Promise<CampaignCountryStat> {
     if (id === undefined) {
       throw new Error('Empty campaign id');
     }
-    const data = { id };
     return this.sendRequest(
-      'campaigns/' + id + '/countries',
+      route('campaigns/{id}/countries', { id }),
       'GET',
-      data,
+      {},
       true
     );
   }
@@ -311,23 +751,23 @@ export class SendPulseClient {
    * Campaign stat by referrals
    */
 
-  async campaignStatByReferrals(id: string): Promise<any> {
+  async campaignStatByReferrals(id: string): Promise<CampaignReferralStat[]> {
     if (id === undefined) {
       throw new Error('Empty campaign id');
     }
-    const data = { id };
     return this.sendRequest(
-      'campaigns/' + id + '/referrals',
+      route('campaigns/{id}/referrals', { id }),
       'GET',
-      data,
+      {},
       true
     );
   }
 
   /**
-   * Create campaign
+   * Create campaign, from options or from the legacy positional arguments
    */
 
+  async createCampaign(options: CampaignOptions): Promise<CreatedCampaign>;
   async createCampaign(
     name: string,
     subject: string,
@@ -336,7 +776,21 @@ export class SendPulseClient {
     body: string,
     book_id?: string,
     emails?: string[]
-  ): Promise<any> {
+  ): Promise<CreatedCampaign>;
+  async createCampaign(
+    name: string | CampaignOptions,
+    subject?: string,
+    from?: string,
+    from_name?: string,
+    body?: string,
+    book_id?: string,
+    emails?: string[]
+  ): Promise<CreatedCampaign> {
+    if (typeof name === 'object' && name !== null) {
+      const data = campaignData(name, true);
+      await this.guardEmailSpend(name.list_id);
+      return this.sendRequest('campaigns', 'POST', data, true);
+    }
     if (name === undefined || subject === undefined) {
       throw new Error('Empty campaign name or subject');
     }
@@ -356,26 +810,154 @@ export class SendPulseClient {
     if (book_id !== undefined) data['addressBookId'] = book_id;
     if (emails !== undefined && emails.length)
       data['emails'] = JSON.stringify(emails);
+    await this.guardEmailSpend(book_id);
     return this.sendRequest('campaigns', 'POST', data, true);
   }
 
+  /**
+   * Create one campaign per variant, each sent to an equal random share of
+   * the recipients. The emails of an address book are fetched and split
+   * locally, so the campaigns are sent to plain emails: they lose the
+   * variables of the book and are not linked to it. Each variant needs at
+   * least one recipient. If a variant cannot be created, the ones already
+   * created are cancelled.
+   */
+
+  async createAbTestCampaign(
+    options: CampaignOptions,
+    variants: CampaignVariant[]
+  ): Promise<AbTestCampaign[]> {
+    if (variants === undefined || variants.length < 2) {
+      throw new Error('Empty A/B test variants');
+    }
+    if (options.segment_id !== undefined) {
+      throw new Error('A/B tests cannot target a segment');
+    }
+    if (options.list_id !== undefined && options.emails !== undefined) {
+      throw new Error('A/B tests take either a book id or an emails array');
+    }
+    // The variants are sent to plain emails, so the cost is estimated once
+    // for the whole book, before the split
+    await this.guardEmailSpend(options.list_id, 'createAbTestCampaign');
+    let emails = options.emails;
+    if (emails === undefined && options.list_id !== undefined) {
+      emails = [];
+      for await (const contact of this.iterateAddressBookEmails(
+        String(options.list_id)
+      )) {
+        emails.push(contact.email);
+      }
+    }
+    if (emails === undefined || !emails.length) {
+      throw new Error('Empty book id and emails array');
+    }
+    if (emails.length < variants.length) {
+      throw new Error('Fewer recipients than A/B test variants');
+    }
+    const shuffled = [...emails];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const groups = variants.map((variant, i) => ({
+      variant,
+      options: { ...options, ...variant, list_id: undefined },
+      emails: shuffled.filter((_, j) => j % variants.length === i),
+    }));
+    for (const [i, group] of groups.entries()) {
+      if (group.variant.template_id !== undefined) {
+        group.options.body = undefined;
+      } else if (group.variant.body !== undefined) {
+        group.options.template_id = undefined;
+      }
+      if (options.name !== undefined) {
+        group.options.name = `${options.name} ${String.fromCharCode(65 + i)}`;
+      }
+      group.options.emails = group.emails;
+    }
+    // Validate every variant before creating any campaign
+    const data = groups.map((group) => campaignData(group.options, true));
+    const result: AbTestCampaign[] = [];
+    try {
+      for (const [i, group] of groups.entries()) {
+        result.push({
+          variant: group.variant,
+          campaign: await this.sendRequest('campaigns', 'POST', data[i], true),
+          emails: group.emails,
+        });
+      }
+    } catch (error) {
+      // Do not leave a partial test to be sent: cancel the variants created
+      for (const { campaign } of result) {
+        await this.cancelCampaign(String(campaign.id)).catch(() => {});
+      }
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Update scheduled campaign
+   */
+
+  async updateCampaign(
+    id: string | number,
+    changes: CampaignUpdate
+  ): Promise<ResultResponse> {
+    if (id === undefined) {
+      throw new Error('Empty campaign id');
+    }
+    return this.sendRequest(
+      route('campaigns/{id}', { id }),
+      'PATCH',
+      campaignData(changes, false),
+      true
+    );
+  }
+
+  /**
+   * Poll an email or SMS campaign and notify its state transitions
+   */
+
+  watchCampaign(id: string | number, options?: WatchOptions): CampaignWatcher {
+    if (id === undefined) {
+      throw new Error('Empty campaign id');
+    }
+    return new CampaignWatcher(this, id, options);
+  }
+
+  /**
+   * Wait until an email or SMS campaign is sent, cancelled or failed
+   */
+
+  async waitForCampaign(
+    id: string | number,
+    options?: WatchOptions
+  ): Promise<CampaignStatusUpdate> {
+    return this.watchCampaign(id, options).done;
+  }
+
   /**
    * Cancel campaign
    */
 
-  async cancelCampaign(id: string): Promise<any> {
+  async cancelCampaign(id: string): Promise<ResultResponse> {
     if (id === undefined) {
       throw new Error('Empty campaign id');
     }
-    const data = { id };
-    return this.sendRequest('campaigns', 'DELETE', data, true);
+    return this.sendRequest(
+      route('campaigns/{id}', { id }),
+      'DELETE',
+      {},
+      true
+    );
   }
 
   /**
    * List senders
    */
 
-  async listSenders(): Promise<any> {
+  async listSenders(): Promise<Sender[]> {
     return this.sendRequest('senders', 'GET', {}, true);
   }
 
@@ -383,7 +965,7 @@ export class SendPulseClient {
    * Add sender
    */
 
-  async addSender(email: string, name: string): Promise<any> {
+  async addSender(email: string, name: string): Promise<ResultResponse> {
     if (email === undefined || name === undefined) {
       throw new Error('Empty sender email or name');
     }
@@ -395,7 +977,7 @@ export class SendPulseClient {
    * Remove sender
    */
 
-  async removeSender(email: string): Promise<any> {
+  async removeSender(email: string): Promise<ResultResponse> {
     if (email === undefined) {
       throw new Error('Empty sender email');
     }
@@ -407,63 +989,69 @@ export class SendPulseClient {
    * Activate sender
    */
 
-  async activateSender(email: string, code: string): Promise<any> {
+  async activateSender(email: string, code: string): Promise<ResultResponse> {
     if (email === undefined || code === undefined) {
       throw new Error('Empty sender email or activation code');
     }
-    const data = { email, code };
-    return this.sendRequest('senders/activate', 'POST', data, true);
+    const data = { code };
+    return this.sendRequest(
+      route('senders/{email}/code', { email }),
+      'POST',
+      data,
+      true
+    );
   }
 
   /**
    * Get sender activation mail
    */
 
-  async getSenderActivationMail(email: string): Promise<any> {
+  async getSenderActivationMail(email: string): Promise<ResultResponse> {
     if (email === undefined) {
       throw new Error('Empty sender email');
     }
-    const data = { email };
-    return this.sendRequest('senders/activationMail', 'POST', data, true);
+    return this.sendRequest(
+      route('senders/{email}/code', { email }),
+      'GET',
+      {},
+      true
+    );
   }
 
   /**
    * Get email global info
    */
 
-  async getEmailGlobalInfo(email: string): Promise<any> {
+  async getEmailGlobalInfo(email: string): Promise<EmailInfo[]> {
     if (email === undefined) {
       throw new Error('Empty email');
     }
-    const data = { email };
-    return this.sendRequest('emails/' + base64(email), 'GET', data, true);
+    return this.sendRequest('emails/' + base64(email), 'GET', {}, true);
   }
 
   /**
    * Remove email from all books
    */
 
-  async removeEmailFromAllBooks(email: string): Promise<any> {
+  async removeEmailFromAllBooks(email: string): Promise<ResultResponse> {
     if (email === undefined) {
       throw new Error('Empty email');
     }
-    const data = { email };
-    return this.sendRequest('emails/' + base64(email), 'DELETE', data, true);
+    return this.sendRequest('emails/' + base64(email), 'DELETE', {}, true);
   }
 
   /**
    * Email stat by campaigns
    */
 
-  async emailStatByCampaigns(email: string): Promise<any> {
+  async emailStatByCampaigns(email: string): Promise<EmailCampaignStat> {
     if (email === undefined) {
       throw new Error('Empty email');
     }
-    const data = { email };
     return this.sendRequest(
       'emails/' + base64(email) + '/campaigns',
       'GET',
-      data,
+      {},
       true
     );
   }
@@ -472,7 +1060,7 @@ export class SendPulseClient {
    * Get black list
    */
 
-  async getBlackList(): Promise<any> {
+  async getBlackList(): Promise<BlacklistEntry[]> {
     return this.sendRequest('blacklist', 'GET', {}, true);
   }
 
@@ -483,7 +1071,7 @@ export class SendPulseClient {
   async addToBlackList(
     emails: string[] | string,
     comment?: string
-  ): Promise<any> {
+  ): Promise<ResultResponse> {
     if (emails === undefined) {
       throw new Error('Empty email');
     }
@@ -503,7 +1091,9 @@ export class SendPulseClient {
    * Remove from black list
    */
 
-  async removeFromBlackList(emails: string[] | string): Promise<any> {
+  async removeFromBlackList(
+    emails: string[] | string
+  ): Promise<ResultResponse> {
     if (emails === undefined) {
       throw new Error('Empty email');
     }
@@ -520,12 +1110,12 @@ export class SendPulseClient {
    * Get current balance
    */
 
-  async getBalance(currency?: string): Promise<any> {
-    const data: Record<string, any> = {};
-    if (currency !== undefined) {
-      data['currency'] = currency;
-    }
-    return this.sendRequest('balance', 'GET', data, true);
+  async getBalance(currency?: string): Promise<Balance> {
+    const path =
+      currency === undefined
+        ? 'balance'
+        : route('balance/{currency}', { currency: currency.toUpperCase() });
+    return this.sendRequest(path, 'GET', {}, true);
   }
 
   /**
@@ -537,7 +1127,7 @@ export class SendPulseClient {
     offset?: number,
     from?: string,
     to?: string
-  ): Promise<any> {
+  ): Promise<SmtpEmail[]> {
     const data: Record<string, any> = {};
     if (limit !== undefined) data['limit'] = limit;
     if (offset !== undefined) data['offset'] = offset;
@@ -546,23 +1136,38 @@ export class SendPulseClient {
     return this.sendRequest('smtp/emails', 'GET', data, true);
   }
 
+  /**
+   * Iterate over all emails sent via SMTP
+   */
+
+  iterateSmtpEmails(
+    options: PageOptions & { from?: string; to?: string } = {}
+  ): AsyncGenerator<SmtpEmail> {
+    return paginate(
+      (limit, offset) =>
+        this.smtpListEmails(limit, offset, options.from, options.to),
+      options
+    );
+  }
+
   /**
    * Get info by email id
    */
 
-  async smtpGetEmailInfoById(id: string): Promise<any> {
+  async smtpGetEmailInfoById(id: string): Promise<SmtpEmail> {
     if (id === undefined) {
       throw new Error('Empty email id');
     }
-    const data = { id };
-    return this.sendRequest('smtp/emails/' + id, 'GET', data, true);
+    return this.sendRequest(route('smtp/emails/{id}', { id }), 'GET', {}, true);
   }
 
   /**
    * Unsubscribe emails using SMTP
    */
 
-  async smtpUnsubscribeEmails(emails: string[] | string): Promise<any> {
+  async smtpUnsubscribeEmails(
+    emails: string[] | string
+  ): Promise<ResultResponse> {
     if (emails === undefined) {
       throw new Error('Empty email');
     }
@@ -579,7 +1184,9 @@ export class SendPulseClient {
    * Remove email from unsubscribe list using SMTP
    */
 
-  async smtpRemoveFromUnsubscribe(emails: string[] | string): Promise<any> {
+  async smtpRemoveFromUnsubscribe(
+    emails: string[] | string
+  ): Promise<ResultResponse> {
     if (emails === undefined) {
       throw new Error('Empty email');
     }
@@ -596,7 +1203,7 @@ export class SendPulseClient {
    * List IPs
    */
 
-  async smtpListIP(): Promise<any> {
+  async smtpListIP(): Promise<string[]> {
     return this.sendRequest('smtp/ips', 'GET', {}, true);
   }
 
@@ -604,7 +1211,7 @@ export class SendPulseClient {
    * List allowed domains
    */
 
-  async smtpListAllowedDomains(): Promise<any> {
+  async smtpListAllowedDomains(): Promise<string[]> {
     return this.sendRequest('smtp/domains', 'GET', {}, true);
   }
 
@@ -612,7 +1219,7 @@ export class SendPulseClient {
    * Add domain
    */
 
-  async smtpAddDomain(email: string): Promise<any> {
+  async smtpAddDomain(email: string): Promise<ResultResponse> {
     if (email === undefined) {
       throw new Error('Empty domain name');
     }
@@ -624,22 +1231,31 @@ export class SendPulseClient {
    * Verify domain
    */
 
-  async smtpVerifyDomain(email: string): Promise<any> {
+  async smtpVerifyDomain(email: string): Promise<ResultResponse> {
     if (email === undefined) {
       throw new Error('Empty domain name');
     }
-    const data = { email };
-    return this.sendRequest('smtp/domains/verify', 'POST', data, true);
+    return this.sendRequest(
+      route('smtp/domains/{email}', { email }),
+      'GET',
+      {},
+      true
+    );
   }
 
   /**
-   * Send mail
+   * Send mail. A message builder is validated before anything is sent.
    */
 
-  async smtpSendMail(email: Record<string, any>): Promise<any> {
+  async smtpSendMail(
+    email: SmtpEmailMessage | EmailMessageBuilder
+  ): Promise<SmtpSendResult> {
     if (email === undefined) {
       throw new Error('Empty email data');
     }
+    if (email instanceof EmailMessageBuilder) {
+      email = await email.build();
+    }
     const data: Record<string, any> = {};
     for (const key in email) {
       if (!Object.prototype.hasOwnProperty.call(email, key)) continue;
@@ -663,7 +1279,7 @@ export class SendPulseClient {
    * Get sms blacklist
    */
 
-  async smsGetBlackList(): Promise<any> {
+  async smsGetBlackList(): Promise<SmsBlacklistEntry[]> {
     return this.sendRequest('sms/black_list/list', 'GET', {}, true);
   }
 
@@ -674,7 +1290,7 @@ export class SendPulseClient {
   async smsAddPhones(
     phones: string[] | string,
     comment?: string
-  ): Promise<any> {
+  ): Promise<ResultResponse> {
     if (phones === undefined) {
       throw new Error('Empty phones');
     }
@@ -694,7 +1310,7 @@ export class SendPulseClient {
    * Add phones with variables to sms blacklist
    */
 
-  async smsAddPhonesWithVariables(phones: any[]): Promise<any> {
+  async smsAddPhonesWithVariables(phones: SmsPhone[]): Promise<ResultResponse> {
     if (phones === undefined) {
       throw new Error('Empty phones');
     }
@@ -709,7 +1325,7 @@ export class SendPulseClient {
    * Remove phones from sms blacklist
    */
 
-  async smsRemovePhones(phones: string[] | string): Promise<any> {
+  async smsRemovePhones(phones: string[] | string): Promise<ResultResponse> {
     if (phones === undefined) {
       throw new Error('Empty phones');
     }
@@ -726,7 +1342,7 @@ export class SendPulseClient {
    * Get phone info from sms blacklist
    */
 
-  async smsGetPhoneInfo(phone: string): Promise<any> {
+  async smsGetPhoneInfo(phone: string): Promise<SmsPhoneInfo> {
     if (phone === undefined) {
       throw new Error('Empty phone');
     }
@@ -738,7 +1354,7 @@ export class SendPulseClient {
    * Update phones variables in sms blacklist
    */
 
-  async smsUpdatePhonesVariables(phones: any[]): Promise<any> {
+  async smsUpdatePhonesVariables(phones: SmsPhone[]): Promise<ResultResponse> {
     if (phones === undefined) {
       throw new Error('Empty phones');
     }
@@ -753,7 +1369,9 @@ export class SendPulseClient {
    * Get phones info from sms blacklist
    */
 
-  async smsGetPhonesInfoFromBlacklist(phones: string[] | string): Promise<any> {
+  async smsGetPhonesInfoFromBlacklist(
+    phones: string[] | string
+  ): Promise<SmsBlacklistEntry[]> {
     if (phones === undefined) {
       throw new Error('Empty phones');
     }
@@ -770,7 +1388,9 @@ export class SendPulseClient {
    * Add phones to sms blacklist
    */
 
-  async smsAddPhonesToBlacklist(phones: string[] | string): Promise<any> {
+  async smsAddPhonesToBlacklist(
+    phones: string[] | string
+  ): Promise<ResultResponse> {
     if (phones === undefined) {
       throw new Error('Empty phones');
     }
@@ -787,7 +1407,9 @@ export class SendPulseClient {
    * Delete phones from sms blacklist
    */
 
-  async smsDeletePhonesFromBlacklist(phones: string[] | string): Promise<any> {
+  async smsDeletePhonesFromBlacklist(
+    phones: string[] | string
+  ): Promise<ResultResponse> {
     if (phones === undefined) {
       throw new Error('Empty phones');
     }
@@ -809,7 +1431,7 @@ export class SendPulseClient {
     body: string,
     addressbook_id: string,
     phones: string[]
-  ): Promise<any> {
+  ): Promise<SmsSendResult> {
     if (sender_name === undefined) {
       throw new Error('Empty sender name');
     }
@@ -831,6 +1453,13 @@ export class SendPulseClient {
     if (phones.length) {
       data['phones'] = JSON.stringify(phones);
     }
+    await this.guardSmsSpend(
+      'smsAddCampaign',
+      sender_name,
+      body,
+      addressbook_id,
+      phones
+    );
     return this.sendRequest('sms/campaigns', 'POST', data, true);
   }
 
@@ -843,7 +1472,7 @@ export class SendPulseClient {
     body: string,
     addressbook_id: string,
     phones: string[]
-  ): Promise<any> {
+  ): Promise<SmsSendResult> {
     if (sender_name === undefined) {
       throw new Error('Empty sender name');
     }
@@ -860,42 +1489,80 @@ export class SendPulseClient {
     if (addressbook_id !== undefined) data['addressBookId'] = addressbook_id;
     if (phones !== undefined && phones.length)
       data['phones'] = JSON.stringify(phones);
+    await this.guardSmsSpend(
+      'smsSend',
+      sender_name,
+      body,
+      addressbook_id,
+      phones
+    );
     return this.sendRequest('sms/send', 'POST', data, true);
   }
 
   /**
-   * Get sms list campaigns
+   * Get sms list campaigns, created between two `YYYY-MM-DD HH:mm:ss` dates
    */
 
-  async smsGetListCampaigns(limit?: number, offset?: number): Promise<any> {
+  async smsGetListCampaigns(
+    limit?: number,
+    offset?: number,
+    date_from?: string,
+    date_to?: string
+  ): Promise<SmsCampaign[]> {
     const data: Record<string, any> = {};
     if (limit !== undefined) data['limit'] = limit;
     if (offset !== undefined) data['offset'] = offset;
-    return this.sendRequest('sms/campaigns', 'GET', data, true);
+    if (date_from !== undefined) data['dateFrom'] = date_from;
+    if (date_to !== undefined) data['dateTo'] = date_to;
+    return this.sendRequest('sms/campaigns/list', 'GET', data, true);
+  }
+
+  /**
+   * Iterate over all sms campaigns
+   */
+
+  iterateSmsCampaigns(
+    options: PageOptions & { from?: string; to?: string } = {}
+  ): AsyncGenerator<SmsCampaign> {
+    return paginate(
+      (limit, offset) =>
+        this.smsGetListCampaigns(limit, offset, options.from, options.to),
+      options
+    );
   }
 
   /**
    * Get sms campaign info by id
    */
 
-  async smsGetCampaignInfo(campaign_id: string): Promise<any> {
+  async smsGetCampaignInfo(campaign_id: string): Promise<SmsCampaignInfo> {
     if (campaign_id === undefined) {
       throw new Error('Empty sms campaign id');
     }
-    const data = { id: campaign_id };
-    return this.sendRequest('sms/campaigns/info', 'GET', data, true);
+    return unwrapData(
+      await this.sendRequest(
+        route('sms/campaigns/info/{id}', { id: campaign_id }),
+        'GET',
+        {},
+        true
+      )
+    );
   }
 
   /**
    * Cancel sms campaign
    */
 
-  async smsCancelCampaign(campaign_id: string): Promise<any> {
+  async smsCancelCampaign(campaign_id: string): Promise<ResultResponse> {
     if (campaign_id === undefined) {
       throw new Error('Empty sms campaign id');
     }
-    const data = { id: campaign_id };
-    return this.sendRequest('sms/campaigns/cancel', 'POST', data, true);
+    return this.sendRequest(
+      route('sms/campaigns/cancel/{id}', { id: campaign_id }),
+      'PUT',
+      {},
+      true
+    );
   }
 
   /**
@@ -907,36 +1574,33 @@ export class SendPulseClient {
     body: string,
     addressbook_id: string,
     phones: string[]
-  ): Promise<any> {
+  ): Promise<SmsCampaignCost> {
     if (sender_name === undefined) {
       throw new Error('Empty sender name');
     }
     if (body === undefined) {
       throw new Error('Empty sms text');
     }
-    if (
-      addressbook_id === undefined ||
-      phones === undefined ||
-      !phones.length
-    ) {
-      throw new Error('Empty book id or phones');
+    if (addressbook_id === undefined && phones === undefined) {
+      throw new Error('Empty book id and phones array');
     }
     const data: Record<string, any> = {
       sender: sender_name,
       body: body,
-      addressBookId: addressbook_id,
     };
-    if (phones.length) {
+    if (addressbook_id !== undefined) data['addressBookId'] = addressbook_id;
+    if (phones !== undefined && phones.length)
       data['phones'] = JSON.stringify(phones);
-    }
-    return this.sendRequest('sms/campaigns/cost', 'GET', data, true);
+    return unwrapData(
+      await this.sendRequest('sms/campaigns/cost', 'GET', data, true)
+    );
   }
 
   /**
    * Remove sms campaign
    */
 
-  async smsDeleteCampaign(campaign_id: string): Promise<any> {
+  async smsDeleteCampaign(campaign_id: string): Promise<ResultResponse> {
     if (campaign_id === undefined) {
       throw new Error('Empty sms campaign id');
     }
@@ -944,18 +1608,330 @@ export class SendPulseClient {
     return this.sendRequest('sms/campaigns', 'DELETE', data, true);
   }
 
+  /**
+   * Get push list campaigns
+   */
+
+  async pushListCampaigns(
+    limit?: number,
+    offset?: number
+  ): Promise<PushCampaign[]> {
+    const data: Record<string, any> = {};
+    if (limit !== undefined) data['limit'] = limit;
+    if (offset !== undefined) data['offset'] = offset;
+    return this.sendRequest('push/tasks', 'GET', data, true);
+  }
+
+  /**
+   * Iterate over all push campaigns
+   */
+
+  iteratePushCampaigns(options?: PageOptions): AsyncGenerator<PushCampaign> {
+    return paginate(
+      (limit, offset) => this.pushListCampaigns(limit, offset),
+      options
+    );
+  }
+
+  /**
+   * Get push campaign info and statistics by id
+   */
+
+  async pushGetCampaignInfo(campaign_id: string): Promise<PushCampaignInfo> {
+    if (campaign_id === undefined) {
+      throw new Error('Empty push campaign id');
+    }
+    return this.sendRequest(
+      route('push/tasks/{id}', { id: campaign_id }),
+      'GET',
+      {},
+      true
+    );
+  }
+
+  /**
+   * Create push campaign
+   */
+
+  async pushCreateCampaign(
+    title: string,
+    website_id: string | number,
+    body: string,
+    ttl: number,
+    options: PushCampaignOptions = {}
+  ): Promise<ResultResponse> {
+    if (title === undefined || body === undefined) {
+      throw new Error('Empty push title or body');
+    }
+    if (website_id === undefined) {
+      throw new Error('Empty website id');
+    }
+    if (ttl === undefined) {
+      throw new Error('Empty push lifetime');
+    }
+    const data: Record<string, any> = {
+      ...options,
+      title,
+      website_id,
+      body,
+      ttl,
+    };
+    if (options.buttons !== undefined) {
+      data['buttons'] = JSON.stringify(options.buttons);
+    }
+    return this.sendRequest('push/tasks', 'POST', data, true);
+  }
+
+  /**
+   * Get push list websites
+   */
+
+  async pushListWebsites(
+    limit?: number,
+    offset?: number
+  ): Promise<PushWebsite[]> {
+    const data: Record<string, any> = {};
+    if (limit !== undefined) data['limit'] = limit;
+    if (offset !== undefined) data['offset'] = offset;
+    return this.sendRequest('push/websites', 'GET', data, true);
+  }
+
+  /**
+   * Get push websites count
+   */
+
+  async pushCountWebsites(): Promise<TotalResponse> {
+    return this.sendRequest('push/websites/total', 'GET', {}, true);
+  }
+
+  /**
+   * Get push website variables
+   */
+
+  async pushGetVariables(
+    website_id: string | number
+  ): Promise<PushWebsiteVariable[]> {
+    if (website_id === undefined) {
+      throw new Error('Empty website id');
+    }
+    return this.sendRequest(
+      route('push/websites/{id}/variables', { id: website_id }),
+      'GET',
+      {},
+      true
+    );
+  }
+
+  /**
+   * Get push website subscriptions
+   */
+
+  async pushGetSubscriptions(
+    website_id: string | number,
+    limit?: number,
+    offset?: number
+  ): Promise<PushSubscription[]> {
+    if (website_id === undefined) {
+      throw new Error('Empty website id');
+    }
+    const data: Record<string, any> = {};
+    if (limit !== undefined) data['limit'] = limit;
+    if (offset !== undefined) data['offset'] = offset;
+    return this.sendRequest(
+      route('push/websites/{id}/subscriptions', { id: website_id }),
+      'GET',
+      data,
+      true
+    );
+  }
+
+  /**
+   * Iterate over all subscriptions of a push website
+   */
+
+  iteratePushSubscriptions(
+    website_id: string | number,
+    options?: PageOptions
+  ): AsyncGenerator<PushSubscription> {
+    if (website_id === undefined) {
+      throw new Error('Empty website id');
+    }
+    return paginate(
+      (limit, offset) => this.pushGetSubscriptions(website_id, limit, offset),
+      options
+    );
+  }
+
+  /**
+   * Get push website subscriptions count
+   */
+
+  async pushCountSubscriptions(
+    website_id: string | number
+  ): Promise<TotalResponse> {
+    if (website_id === undefined) {
+      throw new Error('Empty website id');
+    }
+    return this.sendRequest(
+      route('push/websites/{id}/subscriptions/total', { id: website_id }),
+      'GET',
+      {},
+      true
+    );
+  }
+
+  /**
+   * Activate or deactivate push subscription
+   */
+
+  async pushSetSubscriptionState(
+    subscription_id: string,
+    active: boolean
+  ): Promise<ResultResponse> {
+    if (subscription_id === undefined || active === undefined) {
+      throw new Error('Empty subscription id or state');
+    }
+    const data = { id: subscription_id, state: active ? 1 : 0 };
+    return this.sendRequest('push/subscriptions/state', 'POST', data, true);
+  }
+
+  /**
+   * List Automation 360 flows
+   */
+
+  async listAutomations(): Promise<Automation[]> {
+    return this.sendRequest('a360/autoresponders/list', 'GET', {}, true);
+  }
+
+  /**
+   * Get Automation 360 flow
+   */
+
+  async getAutomation(id: string | number): Promise<Automation> {
+    if (id === undefined) {
+      throw new Error('Empty automation id');
+    }
+    return this.sendRequest(
+      route('a360/autoresponders/{id}', { id }),
+      'GET',
+      {},
+      true
+    );
+  }
+
+  /**
+   * Get Automation 360 flow statistics
+   */
+
+  async getAutomationStatistics(
+    id: string | number
+  ): Promise<AutomationStatistics> {
+    if (id === undefined) {
+      throw new Error('Empty automation id');
+    }
+    return this.sendRequest(
+      route('a360/stats/main/{id}', { id }),
+      'GET',
+      {},
+      true
+    );
+  }
+
+  /**
+   * Send Automation 360 event, starting the flows it triggers
+   */
+
+  async sendAutomationEvent(
+    event_name: string,
+    data: AutomationEventData
+  ): Promise<AutomationEventResult> {
+    if (event_name === undefined) {
+      throw new Error('Empty event name');
+    }
+    if (data === undefined || (!data.email && !data.phone)) {
+      throw new Error('Empty event email and phone');
+    }
+    const path = route('events/name/{name}', { name: event_name });
+    return this.sendRequest(
+      new URL(path, this.eventsUrl).href,
+      'POST',
+      data,
+      true
+    );
+  }
+
   /**
    * Send raw request to RestAPI
    */
 
-  async sendRequestRaw(
+  async sendRequestRaw<T = any>(
     path: string,
     method: 'POST' | 'GET' | 'DELETE' | 'PUT' | 'PATCH',
     data: any = {}
-  ): Promise<any> {
+  ): Promise<T> {
     if (!['POST', 'GET', 'DELETE', 'PUT', 'PATCH'].includes(method)) {
       throw new Error('Unknown method: ' + method);
     }
-    return this.sendRequest(path, method, data, true);
+    return this.sendRequest<T>(path, method, data, true);
   }
 }
+
+/**
+ * Request parameters of new or updated campaign options
+ */
+function campaignData(
+  options: Partial<CampaignOptions>,
+  create: boolean
+): Record<string, any> {
+  if (create) {
+    if (options.subject === undefined) {
+      throw new Error('Empty campaign subject');
+    }
+    if (
+      options.sender_email === undefined ||
+      options.sender_name === undefined
+    ) {
+      throw new Error('Empty sender credentials');
+    }
+    if (options.body === undefined && options.template_id === undefined) {
+      throw new Error('Empty campaign body and template id');
+    }
+    if (options.list_id === undefined && options.emails === undefined) {
+      throw new Error('Empty book id and emails array');
+    }
+  }
+  if (options.emails !== undefined && !options.emails.length) {
+    throw new Error('Empty emails array');
+  }
+  if (options.body !== undefined && options.template_id !== undefined) {
+    throw new Error('A campaign cannot have both a body and a template id');
+  }
+  if (options.segment_id !== undefined && options.list_id === undefined) {
+    throw new Error('Empty book id of the segment');
+  }
+  if (options.send_date instanceof Date && options.send_date <= new Date()) {
+    throw new Error('Campaign send date in the past');
+  }
+  const data: Record<string, any> = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) data[key] = value;
+  }
+  if (options.send_date instanceof Date) {
+    data['send_date'] = formatDate(options.send_date);
+  }
+  if (options.emails !== undefined) {
+    data['emails'] = JSON.stringify(options.emails);
+  }
+  if (options.attachments !== undefined) {
+    data['attachments'] = JSON.stringify(options.attachments);
+  }
+  return data;
+}
+
+/**
+ * Payload of a response wrapped in `{ result, data }`, as sent by the SMS
+ * campaign info and cost endpoints
+ */
+function unwrapData<T>(response: { result: boolean; data: T }): T {
+  return response.data;
+}
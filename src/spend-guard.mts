@@ -0,0 +1,93 @@
+/*
+ * Cost preflight of campaigns and SMS, against a budget and the balance
+ */
+
+import { SpendLimitError } from './errors.mjs';
+import type { SendPulseClient } from './sendpulse.mjs';
+
+export interface SpendGuardOptions {
+  /** Maximum cost of a single send */
+  budget?: number;
+  /** Balance to keep on the account after a send. Defaults to 0 */
+  minBalance?: number;
+  /**
+   * Let through the sends whose cost cannot be estimated, such as email
+   * campaigns without an address book. Defaults to false.
+   */
+  allowUnestimated?: boolean;
+  /** Called with every passed check, for logging */
+  onCheck?: (check: SpendCheck) => void;
+}
+
+/**
+ * Estimated cost of a send
+ */
+export interface SpendEstimate {
+  cost: number;
+  /** Currency of the cost. Defaults to the account currency */
+  currency?: string;
+}
+
+export interface SpendCheck extends SpendEstimate {
+  /** Guarded method */
+  operation: string;
+  balance: number;
+  currency: string;
+}
+
+/**
+ * Checks estimated costs against the budget and the balance of the account.
+ * Amounts are in the currency of the estimate.
+ */
+export class SpendGuard {
+  constructor(
+    private readonly client: SendPulseClient,
+    readonly options: SpendGuardOptions = {}
+  ) {}
+
+  /**
+   * Reject with a `SpendLimitError` if a send would cross a limit
+   */
+  async check(
+    operation: string,
+    estimate: SpendEstimate | undefined
+  ): Promise<SpendCheck | undefined> {
+    if (estimate === undefined) {
+      if (this.options.allowUnestimated) return undefined;
+      throw new SpendLimitError(`Cannot estimate the cost of ${operation}`, {
+        reason: 'unestimated',
+      });
+    }
+    const { balance_currency: balance, currency } =
+      await this.client.getBalance(estimate.currency);
+    const check: SpendCheck = {
+      operation,
+      cost: estimate.cost,
+      balance: Number(balance),
+      currency: estimate.currency ?? currency,
+    };
+    const details = {
+      cost: check.cost,
+      balance: check.balance,
+      currency: check.currency,
+    };
+    const { budget, minBalance = 0 } = this.options;
+    if (budget !== undefined && check.cost > budget) {
+      throw new SpendLimitError(
+        `Cost of ${operation} (${check.cost} ${check.currency}) over the ` +
+          `budget of ${budget}`,
+        { reason: 'budget', ...details }
+      );
+    }
+    if (check.balance - check.cost < minBalance) {
+      throw new SpendLimitError(
+        `Cost of ${operation} (${check.cost} ${check.currency}) over the ` +
+          `balance of ${check.balance}` +
+          (minBalance ? `, keeping ${minBalance}` : ''),
+        { reason: 'balance', ...details }
+      );
+    }
+    this.options.onCheck?.(check);
+    return check;
+  }
+}
@@ -0,0 +1,137 @@
+/*
+ * Offline linting and preview of email template variables
+ */
+
+import type { EmailTemplate } from './types.mjs';
+
+/** `{{ name }}`, `{{ user.name }}`, `{{ name|default('x') }}` */
+const PLACEHOLDER =
+  /\{\{\s*([A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*)\s*(\|[^}]*)?\}\}/g;
+
+export interface TemplateLintResult {
+  /** Placeholders with an empty value, or none, and no default */
+  missing: string[];
+  /** Variables not used by any placeholder */
+  unused: string[];
+}
+
+export interface LintOptions {
+  /** Placeholders filled by SendPulse itself, never reported as missing */
+  ignore?: string[];
+}
+
+export interface RenderOptions extends LintOptions {
+  /** Escape HTML special characters of the values. Defaults to true */
+  escape?: boolean;
+  /** Throw if a placeholder has no value. Defaults to false */
+  strict?: boolean;
+}
+
+/**
+ * Placeholders of a template, in order of first appearance
+ */
+export function extractTemplateVariables(
+  template: EmailTemplate | string
+): string[] {
+  const names = new Set<string>();
+  for (const match of templateBody(template).matchAll(PLACEHOLDER)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+}
+
+/**
+ * Check variables against the placeholders of a template
+ */
+export function lintTemplateVariables(
+  template: EmailTemplate | string,
+  variables: Record<string, any>,
+  options: LintOptions = {}
+): TemplateLintResult {
+  const body = templateBody(template);
+  const ignore = options.ignore ?? [];
+  const missing = new Set<string>();
+  const used = new Set<string>();
+  for (const [, name, filters] of body.matchAll(PLACEHOLDER)) {
+    used.add(name.split('.')[0]);
+    if (ignore.includes(name)) continue;
+    if (
+      isEmpty(lookup(variables, name)) &&
+      defaultValue(filters) === undefined
+    ) {
+      missing.add(name);
+    }
+  }
+  return {
+    missing: Array.from(missing),
+    unused: Object.keys(variables).filter((name) => !used.has(name)),
+  };
+}
+
+/**
+ * Fill the placeholders of a template, to preview it offline
+ */
+export function renderTemplate(
+  template: EmailTemplate | string,
+  variables: Record<string, any>,
+  options: RenderOptions = {}
+): string {
+  const escape = options.escape ?? true;
+  const ignore = options.ignore ?? [];
+  return templateBody(template).replace(
+    PLACEHOLDER,
+    (placeholder, name: string, filters?: string) => {
+      if (ignore.includes(name)) return placeholder;
+      let value = lookup(variables, name);
+      if (isEmpty(value)) value = defaultValue(filters);
+      if (value === undefined) {
+        if (options.strict) {
+          throw new Error(`Missing template variable: ${name}`);
+        }
+        return '';
+      }
+      return escape ? escapeHtml(String(value)) : String(value);
+    }
+  );
+}
+
+function templateBody(template: EmailTemplate | string): string {
+  const body = typeof template === 'string' ? template : template?.body;
+  if (typeof body !== 'string') {
+    throw new Error('Empty template body');
+  }
+  return body;
+}
+
+function lookup(variables: Record<string, any>, name: string): any {
+  let value: any = variables;
+  for (const key of name.split('.')) {
+    if (value === undefined || value === null) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Whether a value leaves its placeholder to the default, if any
+ */
+function isEmpty(value: any): boolean {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Argument of a `default('value')` filter
+ */
+function defaultValue(filters?: string): string | undefined {
+  const match = filters?.match(/\|\s*default\(\s*(['"])(.*?)\1\s*\)/);
+  return match ? match[2] : undefined;
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,625 @@
+/*
+ * In-process stand-in for the SendPulse REST API, to test client code offline.
+ * Node only.
+ *
+ * import { MockSendPulseServer } from 'sendpulse-client/testing';
+ */
+
+import type { IncomingMessage, Server, ServerResponse } from 'http';
+import type {
+  AddressBook,
+  BlacklistEntry,
+  Campaign,
+  EmailTemplate,
+  Sender,
+  SmtpEmail,
+  Variables,
+} from './types.mjs';
+
+export interface MockServerOptions {
+  /** Accepted client id. Any id is accepted by default */
+  clientId?: string;
+  /** Accepted client secret. Any secret is accepted by default */
+  clientSecret?: string;
+  /** Lifetime of the issued tokens, in seconds. Defaults to 3600 */
+  tokenTtl?: number;
+  /** Balance of the account. Defaults to 100 USD */
+  balance?: { currency: string; amount: number };
+  /** Price of an email and of an SMS, in the balance currency. Defaults to 0 */
+  prices?: { email?: number; sms?: number };
+}
+
+/**
+ * Failure injected into the responses of the mock server
+ */
+export interface MockFault {
+  status: number;
+  /** Only fail requests of this method */
+  method?: string;
+  /** Only fail requests whose path matches */
+  path?: string | RegExp;
+  /** Number of requests to fail. Defaults to 1 */
+  times?: number;
+  body?: any;
+  headers?: Record<string, string>;
+}
+
+export interface MockRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  body: any;
+  headers: Record<string, string | string[] | undefined>;
+}
+
+interface MockContact {
+  email: string;
+  phone?: string;
+  status: number;
+  status_explain: string;
+  variables: Variables;
+}
+
+/**
+ * State of the mocked account
+ */
+export interface MockState {
+  addressBooks: Map<number, AddressBook & { emails: MockContact[] }>;
+  campaigns: Map<number, Campaign>;
+  templates: EmailTemplate[];
+  senders: Sender[];
+  blacklist: BlacklistEntry[];
+  smtpEmails: (SmtpEmail & { message: Record<string, any> })[];
+  smtpUnsubscribed: string[];
+}
+
+type Handler = (
+  request: MockRequest,
+  params: string[]
+) => any | [status: number, body: any];
+
+class HttpError {
+  constructor(
+    readonly status: number,
+    readonly message: string
+  ) {}
+}
+
+/**
+ * Local HTTP server answering like the SendPulse API, with a stateful
+ * account, OAuth tokens and injectable faults
+ */
+export class MockSendPulseServer {
+  /** State of the mocked account */
+  readonly state: MockState = emptyState();
+  /** Requests received, in order */
+  readonly requests: MockRequest[] = [];
+  private readonly tokens = new Map<string, number>();
+  private readonly faults: MockFault[] = [];
+  private readonly routes: [string, RegExp, Handler][] = [];
+  private server?: Server;
+  private nextId = 1;
+
+  constructor(private readonly options: MockServerOptions = {}) {
+    this.defineRoutes();
+  }
+
+  /**
+   * URL of the running server, to pass as the API URL of the client
+   */
+  get url(): string {
+    const address = this.server?.address();
+    if (!address || typeof address === 'string') {
+      throw new Error('Mock server is not running');
+    }
+    return `http://127.0.0.1:${address.port}`;
+  }
+
+  /**
+   * Start listening, on a random port by default
+   */
+  async start(port = 0): Promise<string> {
+    const { createServer } = await import('http');
+    this.server = createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ error_code: 500, message: String(error) }));
+      });
+    });
+    await new Promise<void>((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    return this.url;
+  }
+
+  async stop(): Promise<void> {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = undefined;
+    await new Promise<void>((resolve, reject) =>
+      server.close((error) => (error ? reject(error) : resolve()))
+    );
+  }
+
+  /**
+   * Fail the next matching requests
+   */
+  injectFault(fault: MockFault): this {
+    this.faults.push({ times: 1, ...fault });
+    return this;
+  }
+
+  /**
+   * Expire every issued token, so that the next requests get a 401
+   */
+  expireTokens(): this {
+    this.tokens.clear();
+    return this;
+  }
+
+  /**
+   * Forget the state, requests, tokens and faults
+   */
+  reset(): this {
+    Object.assign(this.state, emptyState());
+    this.requests.length = 0;
+    this.tokens.clear();
+    this.faults.length = 0;
+    this.nextId = 1;
+    return this;
+  }
+
+  private async handle(
+    req: IncomingMessage,
+    res: ServerResponse
+  ): Promise<void> {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    let text = '';
+    for await (const chunk of req) text += chunk;
+    const request: MockRequest = {
+      method: req.method ?? 'GET',
+      path: url.pathname.replace(/^\/+/, ''),
+      query: Object.fromEntries(url.searchParams),
+      body: text ? JSON.parse(text) : {},
+      headers: req.headers,
+    };
+    this.requests.push(request);
+
+    const send = (
+      status: number,
+      body: any,
+      headers: Record<string, string> = {}
+    ) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        ...headers,
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    const fault = this.takeFault(request);
+    if (fault) {
+      return send(
+        fault.status,
+        fault.body ?? {
+          error_code: fault.status,
+          message: `Injected fault ${fault.status}`,
+        },
+        fault.headers
+      );
+    }
+
+    try {
+      if (request.path !== 'oauth/access_token') this.authenticate(request);
+      for (const [method, pattern, handler] of this.routes) {
+        const match = request.path.match(pattern);
+        if (method !== request.method || !match) continue;
+        const result = handler(request, match.slice(1));
+        return Array.isArray(result) && typeof result[0] === 'number'
+          ? send(result[0], result[1])
+          : send(200, result);
+      }
+      throw new HttpError(404, 'Not found');
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      send(error.status, { error_code: error.status, message: error.message });
+    }
+  }
+
+  private takeFault(request: MockRequest): MockFault | undefined {
+    const index = this.faults.findIndex(
+      (fault) =>
+        (!fault.method || fault.method.toUpperCase() === request.method) &&
+        (!fault.path ||
+          (typeof fault.path === 'string'
+            ? fault.path === request.path
+            : fault.path.test(request.path)))
+    );
+    if (index === -1) return undefined;
+    const fault = this.faults[index];
+    if (--fault.times <= 0) this.faults.splice(index, 1);
+    return fault;
+  }
+
+  private authenticate(request: MockRequest): void {
+    const header = request.headers['authorization'];
+    const token = typeof header === 'string' ? header.slice(7) : undefined;
+    const expires = token ? this.tokens.get(token) : undefined;
+    if (expires === undefined || Date.now() >= expires) {
+      throw new HttpError(401, 'Invalid or expired token');
+    }
+  }
+
+  private route(method: string, pattern: string, handler: Handler): void {
+    this.routes.push([method, new RegExp('^' + pattern + '$'), handler]);
+  }
+
+  private book(id: string) {
+    const book = this.state.addressBooks.get(Number(id));
+    if (!book) throw new HttpError(404, 'Book not found');
+    return book;
+  }
+
+  private defineRoutes(): void {
+    const { state, options } = this;
+    const page = <T,>(items: T[], query: Record<string, string>) => {
+      const offset = Number(query.offset ?? 0);
+      const limit = query.limit ? Number(query.limit) : items.length;
+      return items.slice(offset, offset + limit);
+    };
+    const list = (value: any): any[] => {
+      if (value === undefined) return [];
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    };
+
+    this.route('POST', 'oauth/access_token', ({ body }) => {
+      if (
+        body.grant_type !== 'client_credentials' ||
+        (options.clientId !== undefined &&
+          body.client_id !== options.clientId) ||
+        (options.clientSecret !== undefined &&
+          body.client_secret !== options.clientSecret)
+      ) {
+        return [
+          401,
+          { error: 'invalid_client', message: 'Client authentication failed' },
+        ];
+      }
+      const ttl = options.tokenTtl ?? 3600;
+      const access_token = `mock-token-${this.nextId++}`;
+      this.tokens.set(access_token, Date.now() + ttl * 1000);
+      return { access_token, token_type: 'Bearer', expires_in: ttl };
+    });
+
+    // Address books
+    this.route('GET', 'addressbooks', ({ query }) =>
+      page(
+        Array.from(state.addressBooks.values(), ({ emails, ...book }) => book),
+        query
+      )
+    );
+    this.route('POST', 'addressbooks', ({ body }) => {
+      if (!body.bookName && !body.name) {
+        throw new HttpError(400, 'Empty book name');
+      }
+      const id = this.nextId++;
+      state.addressBooks.set(id, {
+        id,
+        name: body.bookName ?? body.name,
+        all_email_qty: 0,
+        active_email_qty: 0,
+        inactive_email_qty: 0,
+        creationdate: new Date().toISOString(),
+        status: 0,
+        status_explain: 'Active',
+        emails: [],
+      });
+      return { id };
+    });
+    this.route('GET', 'addressbooks/(\\d+)', (_, [id]) => {
+      const { emails, ...book } = this.book(id);
+      return [book];
+    });
+    this.route('PUT', 'addressbooks/(\\d+)', ({ body }, [id]) => {
+      this.book(id).name = body.name;
+      return { result: true };
+    });
+    this.route('DELETE', 'addressbooks/(\\d+)', (_, [id]) => {
+      this.book(id);
+      state.addressBooks.delete(Number(id));
+      return { result: true };
+    });
+    this.route('GET', 'addressbooks/(\\d+)/emails', ({ query }, [id]) =>
+      page(this.book(id).emails, query)
+    );
+    this.route('POST', 'addressbooks/(\\d+)/emails', ({ body }, [id]) => {
+      const book = this.book(id);
+      for (const entry of list(body.emails)) {
+        const contact = typeof entry === 'string' ? { email: entry } : entry;
+        const existing = book.emails.find((c) => c.email === contact.email);
+        if (existing) {
+          Object.assign(existing.variables, contact.variables);
+        } else {
+          book.emails.push({
+            email: contact.email,
+            phone: contact.phone,
+            status: 1,
+            status_explain: 'Active',
+            variables: { ...contact.variables },
+          });
+        }
+      }
+      book.all_email_qty = book.active_email_qty = book.emails.length;
+      return { result: true };
+    });
+    this.route('DELETE', 'addressbooks/(\\d+)/emails', ({ body }, [id]) => {
+      const book = this.book(id);
+      const emails = list(body.emails);
+      book.emails = book.emails.filter((c) => !emails.includes(c.email));
+      book.all_email_qty = book.active_email_qty = book.emails.length;
+      return { result: true };
+    });
+    this.route(
+      'POST',
+      'addressbooks/(\\d+)/emails/variable',
+      ({ body }, [id]) => {
+        const contact = this.book(id).emails.find(
+          (c) => c.email === body.email
+        );
+        if (!contact) throw new HttpError(404, 'Email not found');
+        Object.assign(contact.variables, body.variables);
+        return { result: true };
+      }
+    );
+
+    // Emails
+    const findEmail = (encoded: string) => {
+      const email = Buffer.from(decodeURIComponent(encoded), 'base64').toString(
+        'utf-8'
+      );
+      const found: any[] = [];
+      for (const book of state.addressBooks.values()) {
+        const contact = book.emails.find((c) => c.email === email);
+        if (contact) found.push({ book_id: book.id, ...contact });
+      }
+      return { email, found };
+    };
+    this.route('GET', 'emails/([^/]+)', (_, [encoded]) => {
+      const { found } = findEmail(encoded);
+      if (!found.length) throw new HttpError(404, 'Email not found');
+      return found;
+    });
+    this.route('DELETE', 'emails/([^/]+)', (_, [encoded]) => {
+      const { email } = findEmail(encoded);
+      for (const book of state.addressBooks.values()) {
+        book.emails = book.emails.filter((c) => c.email !== email);
+      }
+      return { result: true };
+    });
+
+    // Campaigns
+    this.route('GET', 'campaigns', ({ query }) =>
+      page(Array.from(state.campaigns.values()), query)
+    );
+    this.route('POST', 'campaigns', ({ body }) => {
+      const book = body.list_id ?? body.addressBookId;
+      if (book !== undefined) this.book(book);
+      const id = this.nextId++;
+      const count =
+        book !== undefined
+          ? this.book(book).emails.length
+          : JSON.parse(body.emails ?? '[]').length;
+      state.campaigns.set(id, {
+        id,
+        name: body.name ?? '',
+        message: {
+          sender_name: body.sender_name ?? body.fromName,
+          sender_email: body.sender_email ?? body.from,
+          subject: body.subject,
+          body: body.body,
+          attachments: '',
+          list_id: Number(book),
+        },
+        status: 13,
+        all_email_qty: count,
+        tariff_email_qty: count,
+        paid_email_qty: 0,
+        overdraft_price: 0,
+        company_price: 0,
+        overdraft_currency: 'USD',
+        send_date: body.send_date ?? new Date().toISOString(),
+      });
+      return {
+        id,
+        status: 13,
+        count,
+        tariff_email_qty: count,
+        overdraft_price: '0',
+        ovedraft_currency: 'USD',
+      };
+    });
+    this.route('GET', 'campaigns/(\\d+)', (_, [id]) => {
+      const campaign = state.campaigns.get(Number(id));
+      if (!campaign) throw new HttpError(404, 'Campaign not found');
+      return { ...campaign, statistics: [] };
+    });
+    this.route('GET', 'campaigns/(\\d+)/countries', () => ({}));
+    this.route('GET', 'campaigns/(\\d+)/referrals', () => []);
+    this.route('PATCH', 'campaigns/(\\d+)', ({ body }, [id]) => {
+      const campaign = state.campaigns.get(Number(id));
+      if (!campaign) throw new HttpError(404, 'Campaign not found');
+      const message = campaign.message;
+      campaign.name = body.name ?? campaign.name;
+      message.sender_name = body.sender_name ?? message.sender_name;
+      message.sender_email = body.sender_email ?? message.sender_email;
+      message.subject = body.subject ?? message.subject;
+      message.body = body.body ?? message.body;
+      campaign.send_date = body.send_date ?? campaign.send_date;
+      return { result: true };
+    });
+    this.route('DELETE', 'campaigns/(\\d+)', (_, [id]) => {
+      const campaign = state.campaigns.get(Number(id));
+      if (!campaign) throw new HttpError(404, 'Campaign not found');
+      campaign.status = 4;
+      return { result: true };
+    });
+
+    // Templates
+    this.route('GET', 'templates', () => state.templates);
+    this.route('GET', 'template/([^/]+)', (_, [id]) => {
+      const template = state.templates.find(
+        (t) => t.id === id || String(t.real_id) === id
+      );
+      if (!template) throw new HttpError(404, 'Template not found');
+      return template;
+    });
+
+    // Senders
+    this.route('GET', 'senders', () => state.senders);
+    this.route('POST', 'senders', ({ body }) => {
+      state.senders.push({
+        name: body.name,
+        email: body.email,
+        status: 'Not active',
+      });
+      return { result: true };
+    });
+    const sender = (encoded: string) => {
+      const email = decodeURIComponent(encoded);
+      const found = state.senders.find((s) => s.email === email);
+      if (!found) throw new HttpError(404, 'Sender not found');
+      return found;
+    };
+    this.route('GET', 'senders/([^/]+)/code', (_, [email]) => {
+      sender(email);
+      return { result: true };
+    });
+    this.route('POST', 'senders/([^/]+)/code', ({ body }, [email]) => {
+      if (!body.code) throw new HttpError(400, 'Empty activation code');
+      sender(email).status = 'Active';
+      return { result: true };
+    });
+    this.route('DELETE', 'senders', ({ body }) => {
+      state.senders = state.senders.filter((s) => s.email !== body.email);
+      return { result: true };
+    });
+
+    // Blacklist
+    this.route('GET', 'blacklist', () => state.blacklist);
+    this.route('POST', 'blacklist', ({ body }) => {
+      for (const email of list(body.emails)) {
+        if (!state.blacklist.some((entry) => entry.email === email)) {
+          state.blacklist.push({
+            email,
+            comment: body.comment ?? '',
+            add_date: new Date().toISOString(),
+          });
+        }
+      }
+      return { result: true };
+    });
+    this.route('DELETE', 'blacklist', ({ body }) => {
+      const emails = list(body.emails);
+      state.blacklist = state.blacklist.filter(
+        (entry) => !emails.includes(entry.email)
+      );
+      return { result: true };
+    });
+
+    // Balance
+    const balance = () => ({
+      currency: options.balance?.currency ?? 'USD',
+      balance_currency: options.balance?.amount ?? 100,
+    });
+    this.route('GET', 'balance', balance);
+    this.route('GET', 'balance/([A-Z]+)', balance);
+
+    // Costs
+    this.route('GET', 'addressbooks/(\\d+)/cost', (_, [id]) => {
+      const count = this.book(id).emails.length;
+      return {
+        result: true,
+        sent_emails_qty: count,
+        overdraftAllEmailsPrice: count * (options.prices?.email ?? 0),
+        addressesDeltaFromBalance: 0,
+        addressesDeltaFromTariff: 0,
+        max_emails_per_task: count,
+      };
+    });
+    this.route('GET', 'sms/campaigns/cost', ({ query }) => {
+      const phones: string[] = query.phones ? JSON.parse(query.phones) : [];
+      const count = query.addressBookId
+        ? this.book(query.addressBookId).emails.length
+        : phones.length;
+      return {
+        result: true,
+        data: {
+          price: count * (options.prices?.sms ?? 0),
+          currency: options.balance?.currency ?? 'USD',
+        },
+      };
+    });
+
+    // SMTP
+    this.route('GET', 'smtp/emails', ({ query }) =>
+      page(
+        state.smtpEmails.map(({ message, ...email }) => email),
+        query
+      )
+    );
+    this.route('POST', 'smtp/emails', ({ body }) => {
+      const id = `mock-${this.nextId++}`;
+      const recipient =
+        body['to[0][email]'] ?? body.email?.to?.[0]?.email ?? '';
+      state.smtpEmails.push({
+        id,
+        sender: body['from[email]'] ?? body.email?.from?.email ?? '',
+        total_size: JSON.stringify(body).length,
+        sender_ip: '127.0.0.1',
+        smtp_answer_code: 250,
+        smtp_answer_code_explain: 'Delivered',
+        smtp_answer_subcode: '',
+        smtp_answer_data: '',
+        used_ip: '127.0.0.1',
+        recipient,
+        subject: body.subj ?? body.email?.subject ?? '',
+        send_date: new Date().toISOString(),
+        message: body,
+      });
+      return { result: true, id };
+    });
+    this.route('GET', 'smtp/emails/([^/]+)', (_, [id]) => {
+      const email = state.smtpEmails.find((e) => e.id === id);
+      if (!email) throw new HttpError(404, 'Email not found');
+      const { message, ...info } = email;
+      return info;
+    });
+    this.route('POST', 'smtp/unsubscribe', ({ body }) => {
+      state.smtpUnsubscribed.push(...list(body.emails));
+      return { result: true };
+    });
+    this.route('DELETE', 'smtp/unsubscribe', ({ body }) => {
+      const emails = list(body.emails);
+      state.smtpUnsubscribed = state.smtpUnsubscribed.filter(
+        (email) => !emails.includes(email)
+      );
+      return { result: true };
+    });
+  }
+}
+
+function emptyState(): MockState {
+  return {
+    addressBooks: new Map(),
+    campaigns: new Map(),
+    templates: [],
+    senders: [],
+    blacklist: [],
+    smtpEmails: [],
+    smtpUnsubscribed: [],
+  };
+}
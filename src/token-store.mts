@@ -0,0 +1,97 @@
+/*
+ * Storage of OAuth access tokens, shared between client instances
+ */
+
+export interface TokenData {
+  access_token: string;
+  /** Expiration timestamp, in milliseconds */
+  expires_at: number;
+}
+
+/**
+ * Storage of access tokens, keyed by a hash of the client credentials.
+ *
+ * Implement this interface to share tokens through an external service such
+ * as Redis.
+ */
+export interface TokenStore {
+  get(key: string): Promise<TokenData | undefined>;
+  set(key: string, token: TokenData): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+/**
+ * Whether a token exists and has not expired
+ */
+export function isTokenValid(token?: TokenData): token is TokenData {
+  return token !== undefined && Date.now() < token.expires_at;
+}
+
+/**
+ * Token store kept in memory, shared by the clients using the same instance
+ */
+export class MemoryTokenStore implements TokenStore {
+  private readonly tokens = new Map<string, TokenData>();
+
+  async get(key: string): Promise<TokenData | undefined> {
+    const token = this.tokens.get(key);
+    if (token && !isTokenValid(token)) {
+      this.tokens.delete(key);
+      return undefined;
+    }
+    return token;
+  }
+
+  async set(key: string, token: TokenData): Promise<void> {
+    this.tokens.set(key, token);
+  }
+
+  async delete(key: string): Promise<void> {
+    this.tokens.delete(key);
+  }
+}
+
+/**
+ * Token store persisted to a JSON file, shared by the processes of a host.
+ * Node only.
+ */
+export class FileTokenStore implements TokenStore {
+  constructor(private readonly path: string) {}
+
+  async get(key: string): Promise<TokenData | undefined> {
+    const token = (await this.read())[key];
+    return isTokenValid(token) ? token : undefined;
+  }
+
+  async set(key: string, token: TokenData): Promise<void> {
+    const tokens = await this.read();
+    tokens[key] = token;
+    await this.write(tokens);
+  }
+
+  async delete(key: string): Promise<void> {
+    const tokens = await this.read();
+    if (!(key in tokens)) return;
+    delete tokens[key];
+    await this.write(tokens);
+  }
+
+  private async read(): Promise<Record<string, TokenData>> {
+    const { readFile } = await import('fs/promises');
+    try {
+      return JSON.parse(await readFile(this.path, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return {};
+      throw error;
+    }
+  }
+
+  private async write(tokens: Record<string, TokenData>): Promise<void> {
+    const { rename, writeFile } = await import('fs/promises');
+    // Write to a temporary file first so concurrent readers never see a
+    // partially written file.
+    const tmp = `${this.path}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(tmp, JSON.stringify(tokens), { mode: 0o600 });
+    await rename(tmp, this.path);
+  }
+}
@@ -0,0 +1,109 @@
+/*
+ * HTTP transports sending the requests of the client
+ */
+
+import type { AxiosInstance } from 'axios';
+
+export interface HttpRequest {
+  method: string;
+  /** Absolute URL, including the query string */
+  url: string;
+  headers: Record<string, string>;
+  /** Serialized body, if the request has one */
+  body?: string;
+}
+
+export interface HttpResponse {
+  status: number;
+  /** Response headers, with lowercase names */
+  headers: Record<string, string>;
+  /** Parsed JSON body, or the raw text if it is not JSON */
+  data: any;
+}
+
+/**
+ * Send an HTTP request. Responses with an error status must be resolved, not
+ * rejected; only failures to get a response may reject.
+ */
+export type Transport = (request: HttpRequest) => Promise<HttpResponse>;
+
+/**
+ * Transport based on the `fetch` API, available in browsers, workers, edge
+ * runtimes and Node 18+
+ */
+export function fetchTransport(fetchImpl?: typeof fetch): Transport {
+  return async (request) => {
+    const send = fetchImpl ?? globalThis.fetch;
+    if (typeof send !== 'function') {
+      throw new Error('fetch is not available in this runtime');
+    }
+    const response = await send(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+    });
+    const headers: Record<string, string> = {};
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+    return {
+      status: response.status,
+      headers,
+      data: parseBody(await response.text()),
+    };
+  };
+}
+
+/**
+ * Transport based on axios, loaded on the first request so that runtimes
+ * using `fetch` never import it
+ */
+export function axiosTransport(instance?: AxiosInstance): Transport {
+  let loading: Promise<AxiosInstance> | undefined;
+  return async (request) => {
+    loading ??= instance
+      ? Promise.resolve(instance)
+      : import('axios').then((module) => module.default);
+    const response = await (
+      await loading
+    ).request({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      data: request.body,
+      // Let the client handle error statuses, and parse the body itself
+      validateStatus: () => true,
+      transformResponse: (data) => data,
+      responseType: 'text',
+    });
+    const headers: Record<string, string> = {};
+    for (const [name, value] of Object.entries(response.headers ?? {})) {
+      if (value !== undefined && value !== null)
+        headers[name.toLowerCase()] = String(value);
+    }
+    return {
+      status: response.status,
+      headers,
+      data: parseBody(response.data),
+    };
+  };
+}
+
+/**
+ * Transport used when none is configured: `fetch` where it exists, axios
+ * otherwise
+ */
+export function defaultTransport(): Transport {
+  return typeof globalThis.fetch === 'function'
+    ? fetchTransport()
+    : axiosTransport();
+}
+
+function parseBody(text: string): any {
+  if (typeof text !== 'string' || !text) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
@@ -0,0 +1,602 @@
+/*
+ * Request and response models of the SendPulse REST API
+ *
+ * Documentation
+ * https://sendpulse.com/integrations/api
+ */
+
+/**
+ * Generic result of a mutating call
+ */
+export interface ResultResponse {
+  result: boolean;
+  id?: number;
+}
+
+/**
+ * Contact variables, keyed by variable name
+ */
+export type Variables = Record<string, string | number | boolean>;
+
+/**
+ * Address book
+ */
+export interface AddressBook {
+  id: number;
+  name: string;
+  all_email_qty: number;
+  active_email_qty: number;
+  inactive_email_qty: number;
+  new_phones_quantity?: number;
+  exc_phones_quantity?: number;
+  active_phones_quantity?: number;
+  creationdate: string;
+  status: number;
+  status_explain: string;
+}
+
+/**
+ * Email to add to an address book
+ */
+export interface AddressBookEmail {
+  email: string;
+  phone?: string;
+  variables?: Variables;
+}
+
+/**
+ * Email as stored in an address book
+ */
+export interface AddressBookContact {
+  email: string;
+  phone?: string;
+  status: number;
+  status_explain: string;
+  variables: Variables;
+}
+
+/**
+ * Email template
+ */
+export interface EmailTemplate {
+  id: string;
+  real_id: number;
+  lang: string;
+  name: string;
+  name_slug: string;
+  created: string;
+  full_description: string;
+  category: string;
+  category_info: Record<string, any>;
+  tags: Record<string, string>;
+  owner: string;
+  preview: string;
+  body?: string;
+}
+
+/**
+ * Email information across the address books it belongs to
+ */
+export interface EmailInfo {
+  book_id: number;
+  email: string;
+  status: number;
+  status_explain?: string;
+  variables: Variables;
+}
+
+/**
+ * Campaign cost estimation
+ */
+export interface CampaignCost {
+  sent_emails_qty: number;
+  overdraftAllEmailsPrice: number;
+  addressesDeltaFromBalance: number;
+  addressesDeltaFromTariff: number;
+  max_emails_per_task: number;
+  result: boolean;
+}
+
+/**
+ * Campaign message
+ */
+export interface CampaignMessage {
+  sender_name: string;
+  sender_email: string;
+  subject: string;
+  body: string;
+  attachments: string;
+  list_id: number;
+}
+
+/**
+ * Campaign
+ */
+export interface Campaign {
+  id: number;
+  name: string;
+  message: CampaignMessage;
+  status: number;
+  all_email_qty: number;
+  tariff_email_qty: number;
+  paid_email_qty: number;
+  overdraft_price: number;
+  company_price: number;
+  overdraft_currency: string;
+  send_date: string;
+}
+
+/**
+ * Campaign delivery statistic line
+ */
+export interface CampaignStat {
+  code: number;
+  count: number;
+  explain: string;
+}
+
+/**
+ * Campaign with its delivery statistics
+ */
+export interface CampaignInfo extends Campaign {
+  statistics: CampaignStat[];
+}
+
+/**
+ * Campaign statistics by country code
+ */
+export type CampaignCountryStat = Record<string, number>;
+
+/**
+ * Campaign statistics by followed link
+ */
+export interface CampaignReferralStat {
+  link: string;
+  count: number;
+}
+
+/**
+ * Created campaign
+ */
+export interface CreatedCampaign {
+  id: number;
+  status: number;
+  count: number;
+  tariff_email_qty: number;
+  overdraft_price: string;
+  ovedraft_currency: string;
+}
+
+/**
+ * Options of a new email campaign
+ */
+export interface CampaignOptions {
+  name?: string;
+  subject: string;
+  sender_name: string;
+  sender_email: string;
+  /** HTML body, unless a template is used */
+  body?: string;
+  template_id?: number | string;
+  /** Address book of the recipients */
+  list_id?: number | string;
+  /** Segment of the address book */
+  segment_id?: number | string;
+  /** Recipients, instead of an address book */
+  emails?: string[];
+  /**
+   * Scheduled send date, a `Date` sent in UTC, or `YYYY-MM-DD HH:mm:ss`.
+   * Sent immediately by default.
+   */
+  send_date?: Date | string;
+  /** File contents by file name */
+  attachments?: Record<string, string>;
+}
+
+/**
+ * Changes of a scheduled campaign
+ */
+export type CampaignUpdate = Partial<
+  Pick<
+    CampaignOptions,
+    | 'name'
+    | 'subject'
+    | 'sender_name'
+    | 'sender_email'
+    | 'body'
+    | 'template_id'
+    | 'send_date'
+  >
+>;
+
+/**
+ * Content of a variant of an A/B tested campaign
+ */
+export interface CampaignVariant {
+  subject?: string;
+  body?: string;
+  template_id?: number | string;
+}
+
+/**
+ * Campaign created for a variant of an A/B test
+ */
+export interface AbTestCampaign {
+  variant: CampaignVariant;
+  campaign: CreatedCampaign;
+  /** Recipients of the variant */
+  emails: string[];
+}
+
+/**
+ * Sender
+ */
+export interface Sender {
+  name: string;
+  email: string;
+  status: string;
+}
+
+/**
+ * Campaign statistics of a single email
+ */
+export interface EmailCampaignStat {
+  statistic: {
+    sent: number;
+    open: number;
+    link: number;
+  };
+  addressbooks: { id: number; address_book_name: string }[];
+  blacklist: boolean;
+}
+
+/**
+ * Email blacklist entry
+ */
+export interface BlacklistEntry {
+  email: string;
+  comment: string;
+  add_date: string;
+}
+
+/**
+ * Account balance
+ */
+export interface Balance {
+  currency: string;
+  balance_currency: number;
+}
+
+/**
+ * Email sent via SMTP
+ */
+export interface SmtpEmail {
+  id: string;
+  sender: string;
+  total_size: number;
+  sender_ip: string;
+  smtp_answer_code: number;
+  smtp_answer_code_explain: string;
+  smtp_answer_subcode: string;
+  smtp_answer_data: string;
+  used_ip: string;
+  recipient: string;
+  subject: string;
+  send_date: string;
+  tracking?: {
+    click: number;
+    open: number;
+    link: { url: string; browser: string; os: string; ip: string }[];
+    client_info: { browser: string; os: string; ip: string }[];
+  };
+}
+
+/**
+ * SMTP message participant
+ */
+export interface SmtpAddress {
+  name?: string;
+  email: string;
+}
+
+/**
+ * Message accepted by `smtpSendMail`
+ */
+export interface SmtpEmailMessage {
+  subject: string;
+  from: SmtpAddress;
+  to: SmtpAddress[];
+  html?: string;
+  text?: string;
+  cc?: SmtpAddress[];
+  bcc?: SmtpAddress[];
+  template?: { id: number | string; variables?: Record<string, any> };
+  attachments?: Record<string, string>;
+  attachments_binary?: Record<string, string>;
+  headers?: Record<string, string>;
+  auto_plain_text?: boolean;
+}
+
+/**
+ * Result of `smtpSendMail`
+ */
+export interface SmtpSendResult {
+  result: boolean;
+  id: string;
+}
+
+/**
+ * SMS blacklist entry
+ */
+export interface SmsBlacklistEntry {
+  phone: string;
+  description: string;
+  add_date: string;
+}
+
+/**
+ * Phone to add to the SMS lists, with its variables
+ */
+export interface SmsPhone {
+  phone: string;
+  variables?: Variables;
+}
+
+/**
+ * Phone information
+ */
+export interface SmsPhoneInfo {
+  status: number;
+  variables: Variables;
+  added: string;
+}
+
+/**
+ * SMS campaign
+ */
+export interface SmsCampaign {
+  id: number;
+  address_book_id: number;
+  company_price: number;
+  company_currency: string;
+  send_date: string;
+  date_created: string;
+  sender_mail_address: string;
+  sender_mail_name: string;
+  external_stat?: Record<string, any>;
+}
+
+/**
+ * SMS delivery status of a single phone
+ */
+export interface SmsPhoneStat {
+  phone: string;
+  status: number;
+  status_explain: string;
+  countryCode: string;
+  money_spent: number;
+}
+
+/**
+ * SMS campaign with its delivery statistics, unwrapped from the `data` field
+ * of the response
+ */
+export interface SmsCampaignInfo extends SmsCampaign {
+  task_phones_info: SmsPhoneStat[];
+}
+
+/**
+ * Result of `smsSend` and `smsAddCampaign`
+ */
+export interface SmsSendResult {
+  result: boolean;
+  campaign_id: number;
+  counters?: {
+    exceptions: number;
+    sends: number;
+  };
+}
+
+/**
+ * SMS campaign cost estimation, unwrapped from the `data` field of the
+ * response
+ */
+export interface SmsCampaignCost {
+  price: number;
+  currency: string;
+}
+
+/**
+ * Automation 360 flow
+ */
+export interface Automation {
+  id: number;
+  name: string;
+  status: number;
+  created: string;
+  changed: string;
+  starts?: number;
+  in_queue?: number;
+  end_count?: number;
+}
+
+/**
+ * Main statistics of an Automation 360 flow
+ */
+export interface AutomationStatistics {
+  id: number;
+  name: string;
+  starts: number;
+  in_queue: number;
+  end_count: number;
+  send_messages: number;
+  conversions: number;
+}
+
+/**
+ * Data of an Automation 360 event. At least an email or a phone identifies
+ * the contact; the other fields are the event variables.
+ */
+export interface AutomationEventData {
+  email?: string;
+  phone?: string;
+  /** Date of the event, `YYYY-MM-DD HH:mm:ss` */
+  event_date?: string;
+  [variable: string]: string | number | boolean | undefined;
+}
+
+/**
+ * Result of an Automation 360 event
+ */
+export interface AutomationEventResult {
+  result: boolean;
+  event_id?: string;
+}
+
+/**
+ * Messenger of a chatbot
+ */
+export type Messenger =
+  | 'telegram'
+  | 'whatsapp'
+  | 'messenger'
+  | 'instagram'
+  | 'viber';
+
+/**
+ * Chatbot connected to a messenger
+ */
+export interface Chatbot {
+  id: string;
+  channel_data: Record<string, any>;
+  inbox: { total: number; unread: number };
+  status: number;
+  created_at: string;
+}
+
+/**
+ * Contact of a chatbot
+ */
+export interface ChatbotContact {
+  id: string;
+  bot_id: string;
+  status: number;
+  channel_data: Record<string, any>;
+  tags: string[];
+  variables: Variables;
+  is_chat_opened: boolean;
+  last_activity_at: string;
+  automation_paused_until: string | null;
+  created_at: string;
+}
+
+/**
+ * Chatbot flow
+ */
+export interface ChatbotFlow {
+  id: string;
+  bot_id: string;
+  name: string;
+  status: number;
+  triggers: Record<string, any>[];
+  created_at: string;
+}
+
+/**
+ * Message sent to a chatbot contact, in the format of its messenger
+ */
+export interface ChatbotMessage {
+  type: string;
+  [field: string]: any;
+}
+
+/**
+ * Web push campaign
+ */
+export interface PushCampaign {
+  id: number;
+  title: string;
+  body: string;
+  website_id: number;
+  from: string;
+  to: string;
+  status: number;
+}
+
+/**
+ * Web push campaign with its statistics
+ */
+export interface PushCampaignInfo extends PushCampaign {
+  message: {
+    title: string;
+    text: string;
+    link: string;
+  };
+  send: number;
+  delivered: number;
+  redirect: number;
+}
+
+/**
+ * Options of a new web push campaign
+ */
+export interface PushCampaignOptions {
+  /** Link opened on click */
+  link?: string;
+  /** Restrict the audience to a subscription language */
+  filter_lang?: string;
+  /** Restrict the audience to a browser */
+  filter_browser?: string;
+  /** Restrict the audience to a region */
+  filter_region?: string;
+  /** Restrict the audience to the subscribers of a page */
+  filter_url?: string;
+  /** Send date, `YYYY-MM-DD HH:mm:ss` */
+  send_date?: string;
+  /** Spread the sending over the given number of seconds */
+  stretch_time?: number;
+  icon?: string;
+  image?: string;
+  buttons?: { text: string; link: string }[];
+}
+
+/**
+ * Web push website
+ */
+export interface PushWebsite {
+  id: number;
+  url: string;
+  add_date: string;
+  status: number;
+}
+
+/**
+ * Variable of a web push website
+ */
+export interface PushWebsiteVariable {
+  id: number;
+  name: string;
+  type: string;
+}
+
+/**
+ * Subscription to the web push notifications of a website
+ */
+export interface PushSubscription {
+  id: number;
+  browser: string;
+  lang: string;
+  os: string;
+  country_code: string;
+  city: string;
+  variables: { name: string; value: string }[];
+  subscription_date: string;
+  status: number;
+}
+
+/**
+ * Total of a counted resource
+ */
+export interface TotalResponse {
+  total: number;
+}
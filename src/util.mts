@@ -3,10 +3,10 @@
  * SHA-256
  */
 export async function sha256(data: string): Promise<string> {
-    if (typeof window !== "undefined" && window.crypto?.subtle) {
-        // Browser
+    if (globalThis.crypto?.subtle) {
+        // Web Crypto: browsers, workers, edge runtimes and Node 19+
         const buf = new TextEncoder().encode(data);
-        const hashBuf = await crypto.subtle.digest("SHA-256", buf);
+        const hashBuf = await globalThis.crypto.subtle.digest("SHA-256", buf);
         return Array.from(new Uint8Array(hashBuf))
             .map(b => b.toString(16).padStart(2, "0"))
             .join("");
@@ -17,12 +17,37 @@ export async function sha256(data: string): Promise<string> {
     }
 }
 
+/**
+ * HMAC-SHA256, in hex
+ */
+export async function hmacSha256(key: string, data: string): Promise<string> {
+    if (globalThis.crypto?.subtle) {
+        // Web Crypto: browsers, workers, edge runtimes and Node 19+
+        const encoder = new TextEncoder();
+        const cryptoKey = await globalThis.crypto.subtle.importKey(
+            "raw",
+            encoder.encode(key),
+            { name: "HMAC", hash: "SHA-256" },
+            false,
+            ["sign"]
+        );
+        const signature = await globalThis.crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(data));
+        return Array.from(new Uint8Array(signature))
+            .map(b => b.toString(16).padStart(2, "0"))
+            .join("");
+    } else {
+        // Node
+        const { createHmac } = await import("crypto");
+        return createHmac("sha256", key).update(data).digest("hex");
+    }
+}
+
 /**
  * Base64
  */
 export function base64(data: string): string {
-    if (typeof window !== "undefined") {
-        // Browser
+    if (typeof Buffer === "undefined") {
+        // Browsers, workers and edge runtimes
         const bytes = new TextEncoder().encode(data);
         let binary = "";
         bytes.forEach(b => binary += String.fromCharCode(b));
@@ -54,4 +79,26 @@ for (const key in params) {
 }
 
 return result;
-}
\ No newline at end of file
+}
+
+/**
+ * Date as `YYYY-MM-DD HH:mm:ss`, in UTC
+ */
+export function formatDate(date: Date): string {
+    return date.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/**
+ * Format a CSV line
+ */
+export function csvLine(values: unknown[]): string {
+    return values
+        .map(value => {
+            if (value === undefined || value === null) return "";
+            const text = String(value);
+            return /[",\r\n]/.test(text)
+                ? '"' + text.replace(/"/g, '""') + '"'
+                : text;
+        })
+        .join(",") + "\n";
+}
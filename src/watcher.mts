@@ -0,0 +1,262 @@
+/*
+ * Polling of email and SMS campaigns until their sending is complete
+ */
+
+import { TimeoutError } from './errors.mjs';
+import type { SendPulseClient } from './sendpulse.mjs';
+import type { CampaignInfo, SmsCampaignInfo } from './types.mjs';
+
+export type CampaignState =
+  | 'queued'
+  | 'sending'
+  | 'sent'
+  | 'cancelled'
+  | 'error';
+
+export type CampaignKind = 'email' | 'sms';
+
+export interface CampaignStatusUpdate<
+  T extends CampaignInfo | SmsCampaignInfo = CampaignInfo | SmsCampaignInfo,
+> {
+  state: CampaignState;
+  /** State before the transition, undefined on the first poll */
+  previous?: CampaignState;
+  /** Campaign as last fetched */
+  info: T;
+}
+
+export interface WatchOptions {
+  /** Kind of campaign. Defaults to `email` */
+  kind?: CampaignKind;
+  /** Delay between two polls, in milliseconds. Defaults to 10000 */
+  interval?: number;
+  /** Maximum time to wait, in milliseconds. Unlimited by default */
+  timeout?: number;
+  signal?: AbortSignal;
+  /** State of a fetched campaign. Defaults to `campaignState` */
+  resolveState?: (
+    info: CampaignInfo | SmsCampaignInfo,
+    kind: CampaignKind
+  ) => CampaignState;
+}
+
+export type CampaignWatcherEvent = CampaignState | 'change';
+
+export type CampaignWatcherListener = (update: CampaignStatusUpdate) => void;
+
+/** States after which a campaign does not change anymore */
+export const FINAL_CAMPAIGN_STATES: CampaignState[] = [
+  'sent',
+  'cancelled',
+  'error',
+];
+
+/** Email campaign states by status code */
+export const EMAIL_CAMPAIGN_STATES: Record<number, CampaignState> = {
+  0: 'queued',
+  1: 'queued',
+  2: 'sending',
+  3: 'sent',
+  4: 'cancelled',
+  8: 'error',
+  13: 'queued',
+};
+
+/**
+ * State of a fetched campaign. SMS campaigns have no status of their own and
+ * are resolved from the delivery status of their phones.
+ */
+export function campaignState(
+  info: CampaignInfo | SmsCampaignInfo,
+  kind: CampaignKind
+): CampaignState {
+  if (kind === 'email') {
+    return EMAIL_CAMPAIGN_STATES[(info as CampaignInfo).status] ?? 'sending';
+  }
+  const sms = info as SmsCampaignInfo;
+  const phones = sms.task_phones_info ?? [];
+  if (!phones.length || Date.parse(sms.send_date) > Date.now()) {
+    return 'queued';
+  }
+  const states = phones.map(({ status_explain }) =>
+    /cancel/i.test(status_explain)
+      ? 'cancelled'
+      : /error|fail|reject|expired|not deliver|undeliver/i.test(status_explain)
+        ? 'error'
+        : /deliver/i.test(status_explain)
+          ? 'sent'
+          : 'sending'
+  );
+  if (states.includes('sending')) return 'sending';
+  if (states.every((state) => state === 'cancelled')) return 'cancelled';
+  if (states.every((state) => state !== 'sent')) return 'error';
+  return 'sent';
+}
+
+/**
+ * Polls a campaign and notifies its state transitions. Listeners of `change`
+ * receive every transition, and listeners of a state the transitions to it.
+ */
+export class CampaignWatcher {
+  /** Last known state */
+  state?: CampaignState;
+  /**
+   * Update of the final state. Rejects with a `TimeoutError` on timeout,
+   * the reason of the signal on abort, or the error of a failed poll.
+   */
+  readonly done: Promise<CampaignStatusUpdate>;
+  private readonly listeners = new Map<string, CampaignWatcherListener[]>();
+  private readonly controller = new AbortController();
+
+  constructor(
+    private readonly client: SendPulseClient,
+    readonly id: string | number,
+    private readonly options: WatchOptions = {}
+  ) {
+    const onAbort = () => this.controller.abort(options.signal?.reason);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    if (options.signal?.aborted) this.controller.abort(options.signal.reason);
+    // Signals may be shared by many watchers: do not keep this one alive
+    this.done = this.run().finally(() =>
+      options.signal?.removeEventListener('abort', onAbort)
+    );
+    // Rejections are reported by `done` only if someone awaits it
+    this.done.catch(() => {});
+  }
+
+  on(event: CampaignWatcherEvent, listener: CampaignWatcherListener): this {
+    const listeners = this.listeners.get(event) ?? [];
+    listeners.push(listener);
+    this.listeners.set(event, listeners);
+    return this;
+  }
+
+  off(event: CampaignWatcherEvent, listener: CampaignWatcherListener): this {
+    const listeners = this.listeners.get(event) ?? [];
+    this.listeners.set(
+      event,
+      listeners.filter((l) => l !== listener)
+    );
+    return this;
+  }
+
+  /**
+   * Stop polling, even in the middle of a poll. `done` rejects with an
+   * `AbortError`.
+   */
+  stop(): void {
+    this.controller.abort();
+  }
+
+  private async run(): Promise<CampaignStatusUpdate> {
+    const { signal } = this.controller;
+    const kind = this.options.kind ?? 'email';
+    const interval = this.options.interval ?? 10000;
+    const resolveState = this.options.resolveState ?? campaignState;
+    const deadline =
+      this.options.timeout === undefined
+        ? Infinity
+        : Date.now() + this.options.timeout;
+
+    // Let the caller attach listeners before the first poll
+    await Promise.resolve();
+    let info: CampaignInfo | SmsCampaignInfo | undefined;
+    for (;;) {
+      signal.throwIfAborted();
+      // A hung poll must not outlive the deadline or the signal
+      info = await settleBefore<CampaignInfo | SmsCampaignInfo>(
+        kind === 'sms'
+          ? this.client.smsGetCampaignInfo(String(this.id))
+          : this.client.getCampaignInfo(String(this.id)),
+        signal,
+        deadline - Date.now(),
+        () => this.timeoutError(info)
+      );
+      const update: CampaignStatusUpdate = {
+        state: resolveState(info, kind),
+        previous: this.state,
+        info,
+      };
+      if (update.state !== this.state) {
+        this.state = update.state;
+        this.emit('change', update);
+        this.emit(update.state, update);
+      }
+      if (FINAL_CAMPAIGN_STATES.includes(update.state)) return update;
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw this.timeoutError(info);
+      await delay(Math.min(interval, remaining), signal);
+    }
+  }
+
+  private timeoutError(info?: CampaignInfo | SmsCampaignInfo): TimeoutError {
+    return new TimeoutError(
+      this.state === undefined
+        ? `Campaign ${this.id} not polled within ${this.options.timeout} ms`
+        : `Campaign ${this.id} still ${this.state} after ${this.options.timeout} ms`,
+      { data: info }
+    );
+  }
+
+  private emit(event: CampaignWatcherEvent, update: CampaignStatusUpdate) {
+    for (const listener of this.listeners.get(event) ?? []) {
+      listener(update);
+    }
+  }
+}
+
+function delay(ms: number, signal: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Settle like a promise, unless the signal aborts or `ms` pass first
+ */
+function settleBefore<T>(
+  promise: Promise<T>,
+  signal: AbortSignal,
+  ms: number,
+  timeoutError: () => Error
+): Promise<T> {
+  // The promise may settle after losing the race
+  promise.catch(() => {});
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer =
+      ms === Infinity
+        ? undefined
+        : setTimeout(
+            () => {
+              signal.removeEventListener('abort', onAbort);
+              reject(timeoutError());
+            },
+            Math.min(Math.max(ms, 0), 2 ** 31 - 1)
+          );
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+}
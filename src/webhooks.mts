@@ -0,0 +1,420 @@
+/*
+ * Receiver of the webhooks posted by SendPulse for email, SMTP and chatbot
+ * events
+ */
+
+import {
+  AuthenticationError,
+  SendPulseError,
+  ValidationError,
+} from './errors.mjs';
+import { hmacSha256, sha256 } from './util.mjs';
+
+/** Normalized email and SMTP event names */
+export type MailEventName =
+  | 'delivered'
+  | 'opened'
+  | 'clicked'
+  | 'unsubscribed'
+  | 'bounced'
+  | 'spam';
+
+interface BaseWebhookEvent {
+  /** Event name as sent by SendPulse */
+  event: string;
+  timestamp?: Date;
+  /** Event as posted by SendPulse */
+  raw: Record<string, any>;
+}
+
+/**
+ * Event of an email campaign
+ */
+export interface EmailWebhookEvent extends BaseWebhookEvent {
+  type: `email.${MailEventName}`;
+  email: string;
+  campaign_id?: number;
+  book_id?: number;
+  /** Clicked link */
+  link?: string;
+  bounce?: 'hard' | 'soft';
+}
+
+/**
+ * Event of a transactional email sent via SMTP
+ */
+export interface SmtpWebhookEvent extends BaseWebhookEvent {
+  type: `smtp.${MailEventName}`;
+  email: string;
+  sender?: string;
+  subject?: string;
+  message_id?: string;
+  /** Clicked link */
+  link?: string;
+  bounce?: 'hard' | 'soft';
+}
+
+/**
+ * Event of a chatbot, `chatbot.incoming_message` for instance
+ */
+export interface ChatbotWebhookEvent extends BaseWebhookEvent {
+  type: `chatbot.${string}`;
+  /** Messenger of the bot, `telegram` for instance */
+  service: string;
+  bot?: Record<string, any>;
+  contact?: Record<string, any>;
+  info?: Record<string, any>;
+}
+
+export type WebhookEvent =
+  | EmailWebhookEvent
+  | SmtpWebhookEvent
+  | ChatbotWebhookEvent;
+
+export type WebhookEventType = WebhookEvent['type'];
+
+/** Event of the given type */
+export type WebhookEventOf<T extends WebhookEventType | '*'> = T extends '*'
+  ? WebhookEvent
+  : T extends `email.${string}`
+    ? EmailWebhookEvent & { type: T }
+    : T extends `smtp.${string}`
+      ? SmtpWebhookEvent & { type: T }
+      : ChatbotWebhookEvent & { type: T };
+
+export type WebhookListener<T extends WebhookEvent = WebhookEvent> = (
+  event: T
+) => void | Promise<void>;
+
+/**
+ * Incoming webhook request, independent of the HTTP framework
+ */
+export interface WebhookRequest {
+  /**
+   * Raw body, or the body already parsed from JSON. Signatures can only be
+   * checked on the raw body.
+   */
+  body: string | Uint8Array | Record<string, any> | any[];
+  headers: Record<string, string | string[] | undefined>;
+  /** Request URL, absolute or path and query string */
+  url?: string;
+}
+
+export interface WebhookOptions {
+  /**
+   * Shared secret expected in the `token` query parameter of the webhook URL,
+   * or in the `X-Webhook-Token` header
+   */
+  secret?: string;
+  /**
+   * Header holding the hex HMAC-SHA256 of the raw body, keyed with the
+   * secret, checked instead of the shared secret
+   */
+  signatureHeader?: string;
+}
+
+/** Minimal Node `IncomingMessage` */
+export interface NodeWebhookRequest extends AsyncIterable<any> {
+  headers: Record<string, string | string[] | undefined>;
+  url?: string;
+  /** Body parsed by an Express-style middleware */
+  body?: any;
+  originalUrl?: string;
+}
+
+/** Minimal Node `ServerResponse` */
+export interface NodeWebhookResponse {
+  statusCode: number;
+  setHeader(name: string, value: string): unknown;
+  end(body?: string): unknown;
+}
+
+const EMAIL_EVENTS: Record<string, MailEventName> = {
+  deliver: 'delivered',
+  delivered: 'delivered',
+  open: 'opened',
+  opened: 'opened',
+  click: 'clicked',
+  clicked: 'clicked',
+  redirect: 'clicked',
+  unsubscribe: 'unsubscribed',
+  unsubscribed: 'unsubscribed',
+  bounce: 'bounced',
+  bounced: 'bounced',
+  hard_bounce: 'bounced',
+  soft_bounce: 'bounced',
+  undelivered: 'bounced',
+  spam: 'spam',
+  spam_by_user: 'spam',
+};
+
+/**
+ * Parse a batched webhook payload into typed events. Events of unknown email
+ * or SMTP types are skipped.
+ */
+export function parseWebhookEvents(payload: any): WebhookEvent[] {
+  if (typeof payload === 'string') {
+    try {
+      payload = JSON.parse(payload);
+    } catch (error) {
+      throw new ValidationError('Invalid webhook payload', { cause: error });
+    }
+  }
+  const items = Array.isArray(payload) ? payload : [payload];
+  const events: WebhookEvent[] = [];
+  for (const item of items) {
+    if (typeof item !== 'object' || item === null) {
+      throw new ValidationError('Invalid webhook payload', { data: item });
+    }
+    const event = parseEvent(item);
+    if (event) events.push(event);
+  }
+  return events;
+}
+
+function parseEvent(raw: Record<string, any>): WebhookEvent | undefined {
+  const timestamp = parseTimestamp(raw.timestamp ?? raw.date);
+  if (raw.service !== undefined && raw.title !== undefined) {
+    return {
+      type: `chatbot.${raw.title}`,
+      event: String(raw.title),
+      service: String(raw.service),
+      bot: raw.bot,
+      contact: raw.contact,
+      info: raw.info,
+      timestamp,
+      raw,
+    };
+  }
+  const name = EMAIL_EVENTS[String(raw.event).toLowerCase()];
+  if (!name) return undefined;
+  const bounce = /^(hard|soft)_bounce$/.exec(String(raw.event).toLowerCase());
+  const common = {
+    event: String(raw.event),
+    email: String(raw.email ?? raw.recipient ?? ''),
+    ...((raw.link ?? raw.url) ? { link: raw.link ?? raw.url } : {}),
+    ...(bounce ? { bounce: bounce[1] as 'hard' | 'soft' } : {}),
+    timestamp,
+    raw,
+  };
+  if (raw.smtp_server_response_code !== undefined || raw.message_id) {
+    return {
+      type: `smtp.${name}`,
+      ...common,
+      sender: raw.sender,
+      subject: raw.subject,
+      message_id: raw.message_id,
+    };
+  }
+  return {
+    type: `email.${name}`,
+    ...common,
+    campaign_id: raw.task_id ?? raw.campaign_id,
+    book_id: raw.book_id,
+  };
+}
+
+function parseTimestamp(value: any): Date | undefined {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date =
+    typeof value === 'number' || /^\d+$/.test(String(value))
+      ? new Date(Number(value) * 1000)
+      : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Verifies, parses and dispatches webhooks to listeners by event type.
+ * Listeners of `*` receive every event.
+ */
+export class WebhookHandler {
+  private readonly listeners = new Map<string, WebhookListener<any>[]>();
+
+  constructor(private readonly options: WebhookOptions = {}) {}
+
+  on<T extends WebhookEventType | '*'>(
+    type: T,
+    listener: WebhookListener<WebhookEventOf<T>>
+  ): this {
+    const listeners = this.listeners.get(type) ?? [];
+    listeners.push(listener);
+    this.listeners.set(type, listeners);
+    return this;
+  }
+
+  off<T extends WebhookEventType | '*'>(
+    type: T,
+    listener: WebhookListener<WebhookEventOf<T>>
+  ): this {
+    const listeners = this.listeners.get(type) ?? [];
+    this.listeners.set(
+      type,
+      listeners.filter((l) => l !== listener)
+    );
+    return this;
+  }
+
+  /**
+   * Verify a request, then dispatch its events in order. Rejects with an
+   * `AuthenticationError` if the secret does not match, a `ValidationError`
+   * if the payload is invalid, a `SendPulseError` if a signature must be
+   * checked on a parsed body, or the error of a failing listener.
+   */
+  async handle(request: WebhookRequest): Promise<WebhookEvent[]> {
+    const body =
+      request.body instanceof Uint8Array
+        ? new TextDecoder().decode(request.body)
+        : request.body;
+    await this.verify(request, body);
+    const events = parseWebhookEvents(body);
+    for (const event of events) {
+      for (const listener of [
+        ...(this.listeners.get(event.type) ?? []),
+        ...(this.listeners.get('*') ?? []),
+      ]) {
+        await listener(event);
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Listener of a Node `http` server, or Express-style handler. Uses the body
+   * read by a previous middleware if any, and reads the request otherwise.
+   * With `signatureHeader`, that body must be raw, as left by `express.raw()`
+   * or `express.text()`, and not parsed by `express.json()`.
+   */
+  node(): (
+    request: NodeWebhookRequest,
+    response: NodeWebhookResponse
+  ) => Promise<void> {
+    return async (request, response) => {
+      let status = 200;
+      let message = 'OK';
+      try {
+        const body = request.body ?? (await readNodeBody(request));
+        await this.handle({
+          body: isBinary(body) ? new Uint8Array(body) : body,
+          headers: request.headers,
+          url: request.originalUrl ?? request.url,
+        });
+      } catch (error) {
+        status = errorStatus(error);
+        message = error?.message ?? String(error);
+      }
+      response.statusCode = status;
+      response.setHeader('Content-Type', 'application/json');
+      response.end(JSON.stringify({ result: status === 200, message }));
+    };
+  }
+
+  /**
+   * Express-style handler, the same as `node`
+   */
+  express(): ReturnType<WebhookHandler['node']> {
+    return this.node();
+  }
+
+  /**
+   * Handler of fetch `Request`s, for workers and edge runtimes
+   */
+  fetch(): (request: Request) => Promise<Response> {
+    return async (request) => {
+      let status = 200;
+      let message = 'OK';
+      try {
+        await this.handle({
+          body: await request.text(),
+          headers: Object.fromEntries(request.headers),
+          url: request.url,
+        });
+      } catch (error) {
+        status = errorStatus(error);
+        message = error?.message ?? String(error);
+      }
+      return new Response(JSON.stringify({ result: status === 200, message }), {
+        status,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    };
+  }
+
+  private async verify(request: WebhookRequest, body: any): Promise<void> {
+    const { secret, signatureHeader } = this.options;
+    if (secret === undefined) return;
+    let expected: string;
+    let actual: string | undefined;
+    if (signatureHeader !== undefined) {
+      if (typeof body !== 'string') {
+        throw new SendPulseError(
+          'Webhook signatures need the raw request body, not a parsed one: ' +
+            'read it with express.raw() or express.text() instead of ' +
+            'express.json()'
+        );
+      }
+      expected = await hmacSha256(secret, body);
+      actual = header(request.headers, signatureHeader)?.toLowerCase();
+    } else {
+      expected = secret;
+      actual =
+        new URL(request.url ?? '/', 'http://localhost').searchParams.get(
+          'token'
+        ) ?? header(request.headers, 'x-webhook-token');
+    }
+    if (actual === undefined || !(await safeEqual(actual, expected))) {
+      throw new AuthenticationError('Invalid webhook secret', { status: 401 });
+    }
+  }
+}
+
+function header(
+  headers: WebhookRequest['headers'],
+  name: string
+): string | undefined {
+  const key = Object.keys(headers).find(
+    (key) => key.toLowerCase() === name.toLowerCase()
+  );
+  const value = key === undefined ? undefined : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Compare the digests of two strings, in a time independent of where they
+ * differ
+ */
+async function safeEqual(a: string, b: string): Promise<boolean> {
+  const [x, y] = await Promise.all([sha256(a), sha256(b)]);
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) {
+    diff |= x.charCodeAt(i) ^ y.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+async function readNodeBody(request: AsyncIterable<any>): Promise<Uint8Array> {
+  const chunks: Uint8Array[] = [];
+  for await (const chunk of request) {
+    chunks.push(
+      typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk
+    );
+  }
+  const body = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    body.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return body;
+}
+
+function isBinary(body: any): body is Uint8Array | ArrayBuffer {
+  return body instanceof Uint8Array || body instanceof ArrayBuffer;
+}
+
+function errorStatus(error: unknown): number {
+  return error instanceof SendPulseError && error.status !== undefined
+    ? error.status
+    : error instanceof ValidationError
+      ? 400
+      : 500;
+}
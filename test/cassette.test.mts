@@ -0,0 +1,63 @@
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { CassetteMismatchError } from '../src/cassette.mjs';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+
+describe('cassettes', () => {
+  const server = new MockSendPulseServer({
+    clientId: 'id',
+    clientSecret: 'top-secret',
+  });
+  let dir: string;
+
+  beforeAll(async () => {
+    await server.start();
+    dir = await mkdtemp(join(tmpdir(), 'cassette-'));
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('records redacted interactions and replays them', async () => {
+    const path = join(dir, 'books.json');
+    const recording = new SendPulseClient('id', 'top-secret', server.url, {
+      retry: false,
+      cassette: { path, mode: 'record' },
+    });
+    await recording.createAddressBook('Customers');
+    const books = await recording.listAddressBooks();
+    expect(books).toHaveLength(1);
+
+    const file = await readFile(path, 'utf-8');
+    expect(file).not.toContain('top-secret');
+    const interactions = JSON.parse(file);
+    expect(interactions[0]).toMatchObject({
+      request: {
+        path: 'oauth/access_token',
+        body: { client_secret: '[REDACTED]' },
+      },
+      response: { status: 200, data: { access_token: '[REDACTED]' } },
+    });
+    expect(interactions.map((i: any) => i.request.path)).toEqual([
+      'oauth/access_token',
+      'addressbooks',
+      'addressbooks',
+    ]);
+
+    const replaying = new SendPulseClient(
+      'id',
+      'top-secret',
+      'https://api.invalid',
+      { retry: false, cassette: { path, mode: 'replay' } }
+    );
+    expect(await replaying.listAddressBooks()).toEqual(books);
+    await expect(replaying.getBalance()).rejects.toBeInstanceOf(
+      CassetteMismatchError
+    );
+  });
+});
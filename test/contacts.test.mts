@@ -0,0 +1,169 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import {
+  exportAddressBook,
+  importAddressBook,
+  parseContacts,
+  toReadableStream,
+} from '../src/contacts.mjs';
+import type { ContactSource, ParseOptions } from '../src/contacts.mjs';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+
+async function collect<T>(iterator: AsyncIterable<T>): Promise<T[]> {
+  const items: T[] = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+const parse = (source: ContactSource, options?: ParseOptions) =>
+  collect(parseContacts(source, options));
+
+describe('parseContacts', () => {
+  const csv =
+    'email,name,note\r\n' +
+    'a@x.io,"Doe, Ann","said ""hi""\r\nthen left"\r\n' +
+    '\r\n' +
+    'b@x.io,Bob,\r\n' +
+    ',Nobody,no email';
+  const contacts = [
+    {
+      email: 'a@x.io',
+      variables: { name: 'Doe, Ann', note: 'said "hi"\r\nthen left' },
+    },
+    { email: 'b@x.io', variables: { name: 'Bob' } },
+  ];
+
+  it('parses quoted CSV fields, CRLF and blank lines', async () => {
+    expect(await parse([csv])).toEqual(contacts);
+  });
+
+  it('parses CSV split at any character or byte', async () => {
+    expect(await parse(csv.split(''))).toEqual(contacts);
+    const bytes = new TextEncoder().encode(csv.replace('Ann', 'Anné'));
+    const chunks = Array.from(bytes, (byte) => new Uint8Array([byte]));
+    expect(await parse(chunks)).toEqual([
+      {
+        ...contacts[0],
+        variables: { ...contacts[0].variables, name: 'Doe, Anné' },
+      },
+      contacts[1],
+    ]);
+  });
+
+  it('drops a byte order mark from strings and bytes', async () => {
+    const text = '\uFEFFemail,name\na@x.io,Ann\n';
+    const expected = [{ email: 'a@x.io', variables: { name: 'Ann' } }];
+    expect(await parse(['', text])).toEqual(expected);
+    expect(await parse([new TextEncoder().encode(text)])).toEqual(expected);
+  });
+
+  it('maps and renames columns', async () => {
+    const source = ['E-mail,Tel,First name,Age\na@x.io,123,Ann,30\n'];
+    expect(
+      await parse(source, {
+        mapping: {
+          email: 'E-mail',
+          phone: 'Tel',
+          variables: { 'First name': 'name' },
+        },
+      })
+    ).toEqual([{ email: 'a@x.io', phone: '123', variables: { name: 'Ann' } }]);
+  });
+
+  it('merges NDJSON columns with their variables', async () => {
+    const ndjson =
+      '{"email":"a@x.io","name":"A","status":1,"variables":{"city":"K"}}\n' +
+      '\n' +
+      '{"email":"b@x.io","phone":"123","name":"B"}';
+    expect(
+      await parse(ndjson.match(/.{1,7}/gs)!, { format: 'ndjson' })
+    ).toEqual([
+      { email: 'a@x.io', variables: { name: 'A', city: 'K' } },
+      { email: 'b@x.io', phone: '123', variables: { name: 'B' } },
+    ]);
+  });
+
+  it('reports the line of invalid NDJSON', async () => {
+    await expect(
+      parse(['{"email":"a@x.io"}\n{oops\n'], { format: 'ndjson' })
+    ).rejects.toThrow('Invalid NDJSON on line 2');
+  });
+});
+
+describe('address book import and export', () => {
+  const server = new MockSendPulseServer();
+  let client: SendPulseClient;
+  let source: string;
+  let target: string;
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    client = new SendPulseClient('id', 'secret', server.url, { retry: false });
+    await client.createAddressBook('Source');
+    await client.createAddressBook('Target');
+    [source, target] = (await client.listAddressBooks()).map((book) =>
+      String(book.id)
+    );
+    await client.addAddressBookEmails(source, [
+      { email: 'a@x.io', variables: { name: 'Doe, "Ann"', city: 'Kyiv' } },
+      { email: 'b@x.io', phone: '380501234567', variables: { name: 'Bob' } },
+      { email: 'c@x.io', variables: { note: 'line\nbreak' } },
+    ]);
+  });
+
+  const contacts = async (id: string) =>
+    (await client.getAddressBookEmails(id)).map(
+      ({ email, phone, variables }) => ({ email, phone, variables })
+    );
+
+  for (const format of ['csv', 'ndjson'] as const) {
+    it(`round-trips contacts as ${format}`, async () => {
+      const lines = exportAddressBook(client, source, {
+        format,
+        pageSize: 2,
+        variables: format === 'csv' ? ['name', 'city', 'note'] : undefined,
+      });
+      const result = await importAddressBook(
+        client,
+        target,
+        toReadableStream(lines),
+        { format }
+      );
+      expect(result).toMatchObject({ succeededItems: 3, read: 3 });
+      expect(await contacts(target)).toEqual(await contacts(source));
+    });
+  }
+
+  it('resumes an aborted import from its read count', async () => {
+    const csv = ['email\n', 'a@x.io\n', 'b@x.io\n', 'c@x.io\n'];
+    const controller = new AbortController();
+    async function* abortAfterB() {
+      for (const line of csv) {
+        yield line;
+        if (line === 'b@x.io\n') controller.abort();
+      }
+    }
+    const aborted = await importAddressBook(client, target, abortAfterB(), {
+      signal: controller.signal,
+    });
+    expect(aborted).toMatchObject({ read: 2, succeededItems: 0 });
+    expect(aborted.remaining).toEqual([
+      { email: 'a@x.io' },
+      { email: 'b@x.io' },
+    ]);
+
+    const resumed = await importAddressBook(client, target, csv, {
+      skip: aborted.read,
+    });
+    expect(resumed).toMatchObject({ read: 3, succeededItems: 1 });
+    expect((await contacts(target)).map((c) => c.email)).toEqual(['c@x.io']);
+  });
+});
@@ -0,0 +1,49 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { DryRunRecorder } from '../src/dry-run.mjs';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+
+describe('dry run', () => {
+  const server = new MockSendPulseServer();
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  it('records mutations and forwards reads', async () => {
+    const client = new SendPulseClient('id', 'secret', server.url, {
+      retry: false,
+      dryRun: true,
+    });
+    expect(await client.createAddressBook('Customers')).toEqual({
+      result: true,
+      id: 1,
+    });
+    expect(await client.listAddressBooks()).toEqual([]);
+    expect(client.dryRun!.find('POST', 'addressbooks')).toHaveLength(1);
+    expect(server.state.addressBooks.size).toBe(0);
+  });
+
+  it('answers intercepted reads with respond', async () => {
+    const client = new SendPulseClient('id', 'secret', server.url, {
+      retry: false,
+      dryRun: { forwardReads: false, respond: () => [] },
+    });
+    expect(await client.listAddressBooks()).toEqual([]);
+    expect(server.requests).toEqual([]);
+  });
+
+  it('requires respond when reads are not forwarded', () => {
+    expect(() => new DryRunRecorder({ forwardReads: false })).toThrow(
+      'respond'
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { EmailMessageBuilder, isValidEmail } from '../src/mail.mjs';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+
+const base = () =>
+  new EmailMessageBuilder()
+    .from('shop@x.io', 'Shop')
+    .to('ann@x.io', 'Ann')
+    .subject('Your order');
+
+describe('isValidEmail', () => {
+  it('checks the shape of addresses', () => {
+    expect(isValidEmail('ann@x.io')).toBe(true);
+    expect(isValidEmail('a+b.c@mail.x.io')).toBe(true);
+    for (const email of ['ann', 'ann@x', 'a n@x.io', '<a@x.io>', 'a@b@x.io']) {
+      expect(isValidEmail(email)).toBe(false);
+    }
+  });
+});
+
+describe('EmailMessageBuilder', () => {
+  let dir: string;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'mail-'));
+  });
+
+  afterAll(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('lists missing and invalid fields', () => {
+    expect(new EmailMessageBuilder().validate()).toEqual([
+      'Empty sender',
+      'Empty recipients',
+      'Empty subject',
+      'Empty html, text and template',
+    ]);
+    expect(
+      base().cc('not an email').bcc('bob@x').html('<p>Hi</p>').validate()
+    ).toEqual([
+      'Invalid email address: not an email',
+      'Invalid email address: bob@x',
+    ]);
+  });
+
+  it('rejects a template combined with html or text', () => {
+    expect(base().template(12).text('Hi').validate()).toEqual([
+      'A template cannot be combined with html or text',
+    ]);
+    expect(
+      new EmailMessageBuilder()
+        .from('shop@x.io')
+        .to('ann@x.io')
+        .template(12, { name: 'Ann' })
+        .validate()
+    ).toEqual([]);
+  });
+
+  it('rejects header injection', () => {
+    expect(
+      base()
+        .html('<p>Hi</p>')
+        .header('X-Campaign', 'spring\r\nBcc: all@x.io')
+        .header('Bad Name', 'x')
+        .header('X-Ok', 'fine')
+        .validate()
+    ).toEqual([
+      'Invalid header value: X-Campaign',
+      'Invalid header name: Bad Name',
+    ]);
+  });
+
+  it('throws a ValidationError from build', async () => {
+    await expect(base().build()).rejects.toMatchObject({
+      name: 'ValidationError',
+      data: ['Empty html, text and template'],
+    });
+  });
+
+  it('requires a name for attachments that are not paths', () => {
+    expect(() => base().attach(new Uint8Array([1]))).toThrow(
+      'Empty attachment name'
+    );
+  });
+
+  it('encodes attachments in base64', async () => {
+    const path = join(dir, 'terms.txt');
+    await writeFile(path, 'Terms');
+    const message = await base()
+      .html('<p>Hi</p>')
+      .attach(new Uint8Array([0, 1, 2, 255]), 'bytes.bin')
+      .attach(new Uint8Array([104, 105]).buffer, 'buffer.txt')
+      .attach(new Blob(['Blob ✓']), 'blob.txt')
+      .attach(path)
+      .build();
+    expect(message.attachments_binary).toEqual({
+      'bytes.bin': 'AAEC/w==',
+      'buffer.txt': 'aGk=',
+      'blob.txt': Buffer.from('Blob ✓').toString('base64'),
+      'terms.txt': Buffer.from('Terms').toString('base64'),
+    });
+  });
+});
+
+describe('smtpSendMail', () => {
+  const server = new MockSendPulseServer();
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  it('serializes a built message', async () => {
+    const client = new SendPulseClient('id', 'secret', server.url, {
+      retry: false,
+    });
+    await client.smtpSendMail(
+      base()
+        .html('<p>Hi</p>')
+        .cc('bob@x.io')
+        .header('X-Campaign', 'spring')
+        .attach(new Uint8Array([104, 105]), 'hi.txt')
+    );
+    expect(server.state.smtpEmails[0].message).toEqual({
+      subj: 'Your order',
+      'from[name]': 'Shop',
+      'from[email]': 'shop@x.io',
+      'to[0][name]': 'Ann',
+      'to[0][email]': 'ann@x.io',
+      'cc[0][email]': 'bob@x.io',
+      html_body: '<p>Hi</p>',
+      'headers[X-Campaign]': 'spring',
+      'attachments_binary[hi.txt]': 'aGk=',
+    });
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { paginate } from '../src/pagination.mjs';
+
+async function collect<T>(iterator: AsyncIterable<T>): Promise<T[]> {
+  const items: T[] = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+describe('paginate', () => {
+  const items = Array.from({ length: 5 }, (_, i) => i);
+
+  it('fetches pages until a short one', async () => {
+    const calls: number[][] = [];
+    const result = await collect(
+      paginate(
+        async (limit, offset) => {
+          calls.push([limit, offset]);
+          return items.slice(offset, offset + limit);
+        },
+        { pageSize: 2 }
+      )
+    );
+    expect(result).toEqual(items);
+    expect(calls).toEqual([
+      [2, 0],
+      [2, 2],
+      [2, 4],
+    ]);
+  });
+
+  it('stops after a page longer than requested', async () => {
+    let calls = 0;
+    const result = await collect(
+      paginate(
+        async () => {
+          calls++;
+          return items;
+        },
+        { pageSize: 2 }
+      )
+    );
+    expect(result).toEqual(items);
+    expect(calls).toBe(1);
+  });
+
+  it('stops before a page repeating the previous one', async () => {
+    let calls = 0;
+    const result = await collect(
+      paginate(
+        async (limit) => {
+          calls++;
+          return items.slice(0, limit);
+        },
+        { pageSize: 2 }
+      )
+    );
+    expect(result).toEqual([0, 1]);
+    expect(calls).toBe(2);
+  });
+});
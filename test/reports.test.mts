@@ -0,0 +1,138 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import {
+  buildCampaignReport,
+  campaignMetrics,
+  campaignRates,
+  classifyCampaignStat,
+} from '../src/reports.mjs';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+import type { CampaignInfo } from '../src/types.mjs';
+
+const stat = (explain: string, count = 1) => ({ code: 0, count, explain });
+
+describe('classifyCampaignStat', () => {
+  it('guesses the metric from the explanation', () => {
+    expect(classifyCampaignStat(stat('Delivered'))).toBe('delivered');
+    expect(classifyCampaignStat(stat('Opened'))).toBe('opened');
+    expect(classifyCampaignStat(stat('Redirected by link'))).toBe('clicked');
+    expect(classifyCampaignStat(stat('Unsubscribed'))).toBe('unsubscribed');
+    expect(classifyCampaignStat(stat('Marked as spam'))).toBe('spam');
+    expect(classifyCampaignStat(stat('Not delivered'))).toBe('bounced');
+    expect(classifyCampaignStat(stat('Email does not exist'))).toBe('bounced');
+    expect(classifyCampaignStat(stat('Sending'))).toBeUndefined();
+  });
+});
+
+describe('campaignMetrics', () => {
+  const info = (statistics: CampaignInfo['statistics'], all = 0) =>
+    ({ statistics, all_email_qty: all }) as CampaignInfo;
+
+  it('counts emails under their last status in the earlier ones', () => {
+    const metrics = campaignMetrics(
+      info([
+        stat('Delivered', 10),
+        stat('Opened', 5),
+        stat('Redirected by link', 3),
+        stat('Unsubscribed', 1),
+        stat('Marked as spam', 2),
+        stat('Not delivered', 4),
+      ])
+    );
+    expect(metrics).toEqual({
+      sent: 25,
+      delivered: 21,
+      opened: 9,
+      clicked: 3,
+      bounced: 4,
+      unsubscribed: 1,
+      spam: 2,
+    });
+  });
+
+  it('keeps the sent count of the campaign when higher', () => {
+    expect(campaignMetrics(info([stat('Delivered', 2)], 10)).sent).toBe(10);
+  });
+
+  it('uses a custom classification', () => {
+    const metrics = campaignMetrics(
+      info([stat('Lu', 4), stat('Livré', 6)]),
+      (s) => (s.explain === 'Lu' ? 'opened' : 'delivered')
+    );
+    expect(metrics).toMatchObject({ delivered: 10, opened: 4 });
+  });
+});
+
+describe('campaignRates', () => {
+  it('divides by delivered and sent emails, and never by zero', () => {
+    expect(
+      campaignRates({
+        sent: 20,
+        delivered: 10,
+        opened: 5,
+        clicked: 2,
+        bounced: 10,
+        unsubscribed: 1,
+        spam: 0,
+      })
+    ).toEqual({
+      open_rate: 0.5,
+      click_rate: 0.2,
+      bounce_rate: 0.5,
+      unsubscribe_rate: 0.1,
+    });
+    expect(
+      campaignRates({
+        sent: 0,
+        delivered: 0,
+        opened: 0,
+        clicked: 0,
+        bounced: 0,
+        unsubscribed: 0,
+        spam: 0,
+      })
+    ).toEqual({
+      open_rate: 0,
+      click_rate: 0,
+      bounce_rate: 0,
+      unsubscribe_rate: 0,
+    });
+  });
+});
+
+describe('buildCampaignReport', () => {
+  const server = new MockSendPulseServer();
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  it('skips campaigns without a send date in a date range', async () => {
+    const client = new SendPulseClient('id', 'secret', server.url, {
+      retry: false,
+    });
+    const options = {
+      subject: 'Hi',
+      sender_name: 'Me',
+      sender_email: 'me@x.io',
+      body: '<p>Hi</p>',
+      emails: ['a@x.io'],
+    };
+    const sent = await client.createCampaign({ ...options, name: 'Sent' });
+    const draft = await client.createCampaign({ ...options, name: 'Draft' });
+    server.state.campaigns.get(sent.id)!.send_date = '2030-01-10 10:00:00';
+    server.state.campaigns.get(draft.id)!.send_date = '';
+
+    const report = await buildCampaignReport(client, {
+      to: '2030-02-01 00:00:00',
+      breakdowns: false,
+    });
+    expect(report.campaigns.map((c) => c.name)).toEqual(['Sent']);
+    const all = await buildCampaignReport(client, { breakdowns: false });
+    expect(all.campaigns).toHaveLength(2);
+  });
+});
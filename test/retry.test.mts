@@ -0,0 +1,71 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import {
+  NetworkError,
+  RateLimitError,
+  SendPulseError,
+} from '../src/errors.mjs';
+import { isRetryable, resolveRetryOptions } from '../src/retry.mjs';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+
+const options = resolveRetryOptions();
+
+describe('isRetryable', () => {
+  it('retries 429 responses whatever the method', () => {
+    const error = new RateLimitError('Too many requests', { status: 429 });
+    expect(isRetryable(error, 'POST', 1, options)).toBe(true);
+    expect(isRetryable(error, 'GET', 1, options)).toBe(true);
+    expect(isRetryable(error, 'POST', 3, options)).toBe(false);
+  });
+
+  it('retries refused connections whatever the method', () => {
+    const error = new NetworkError('fetch failed', {
+      cause: Object.assign(new TypeError('fetch failed'), {
+        cause: { code: 'ECONNREFUSED' },
+      }),
+    });
+    expect(isRetryable(error, 'POST', 1, options)).toBe(true);
+  });
+
+  it('retries other failures of safe methods only', () => {
+    const unavailable = new SendPulseError('Unavailable', { status: 503 });
+    expect(isRetryable(unavailable, 'GET', 1, options)).toBe(true);
+    expect(isRetryable(unavailable, 'POST', 1, options)).toBe(false);
+    const reset = new NetworkError('socket hang up', { code: 'ECONNRESET' });
+    expect(isRetryable(reset, 'DELETE', 1, options)).toBe(true);
+    expect(isRetryable(reset, 'POST', 1, options)).toBe(false);
+  });
+
+  it('never retries client errors', () => {
+    const error = new SendPulseError('Bad request', { status: 400 });
+    expect(isRetryable(error, 'GET', 1, options)).toBe(false);
+  });
+});
+
+describe('SendPulseClient retries', () => {
+  const server = new MockSendPulseServer();
+  let client: SendPulseClient;
+
+  beforeAll(async () => {
+    client = new SendPulseClient('id', 'secret', await server.start(), {
+      retry: { baseDelay: 1, jitter: false },
+    });
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  it('retries throttled address book imports', async () => {
+    await client.createAddressBook('Customers');
+    const [book] = await client.listAddressBooks();
+    server.injectFault({
+      status: 429,
+      method: 'POST',
+      path: `addressbooks/${book.id}/emails`,
+      headers: { 'Retry-After': '0' },
+    });
+    await client.addAddressBookEmails(String(book.id), [{ email: 'a@x.io' }]);
+    expect(server.state.addressBooks.get(book.id).emails).toHaveLength(1);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { encodeRequest, route } from '../src/routes.mjs';
+
+describe('route', () => {
+  it('fills and encodes path parameters', () => {
+    expect(route('addressbooks/{id}/emails', { id: 12 })).toBe(
+      'addressbooks/12/emails'
+    );
+    expect(route('senders/{email}/code', { email: 'a+b@x.io' })).toBe(
+      'senders/a%2Bb%40x.io/code'
+    );
+    expect(route('template/{id}', { id: '../x y' })).toBe(
+      'template/..%2Fx%20y'
+    );
+  });
+
+  it('throws on a missing parameter', () => {
+    expect(() => route('campaigns/{id}', {})).toThrow(
+      'Missing route parameter: id'
+    );
+    expect(() => route('campaigns/{id}', { id: '' })).toThrow();
+  });
+});
+
+describe('encodeRequest', () => {
+  it('puts GET parameters in the query string', () => {
+    expect(
+      encodeRequest('GET', 'addressbooks', {
+        limit: 10,
+        offset: 0,
+        skipped: undefined,
+        list: [1, 2],
+      })
+    ).toEqual({ path: 'addressbooks?limit=10&offset=0&list=%5B1%2C2%5D' });
+    expect(encodeRequest('get', 'campaigns?x=1', { y: 'a b' })).toEqual({
+      path: 'campaigns?x=1&y=a+b',
+    });
+  });
+
+  it('sends no query string nor body for empty GET parameters', () => {
+    expect(encodeRequest('GET', 'balance', {})).toEqual({ path: 'balance' });
+    expect(encodeRequest('HEAD', 'balance', undefined)).toEqual({
+      path: 'balance',
+    });
+  });
+
+  it('sends a JSON body for other methods', () => {
+    expect(encodeRequest('POST', 'senders', { email: 'a@x.io' })).toEqual({
+      path: 'senders',
+      body: '{"email":"a@x.io"}',
+    });
+    expect(
+      encodeRequest('DELETE', 'addressbooks/1/emails', { emails: ['a@x.io'] })
+    ).toEqual({
+      path: 'addressbooks/1/emails',
+      body: '{"emails":["a@x.io"]}',
+    });
+  });
+
+  it('omits empty bodies', () => {
+    expect(encodeRequest('DELETE', 'campaigns/1', {})).toEqual({
+      path: 'campaigns/1',
+    });
+    expect(encodeRequest('POST', 'campaigns', null)).toEqual({
+      path: 'campaigns',
+    });
+  });
+});
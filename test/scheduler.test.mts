@@ -0,0 +1,96 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { RequestScheduler, defaultPriority } from '../src/scheduler.mjs';
+
+/** Task resolving on demand, recording when it starts */
+function deferred(started: string[], name: string) {
+  let resolve!: () => void;
+  const done = new Promise<void>((r) => (resolve = r));
+  return {
+    fn: () => {
+      started.push(name);
+      return done;
+    },
+    resolve,
+  };
+}
+
+describe('RequestScheduler', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('runs high priority requests first', async () => {
+    const started: string[] = [];
+    const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    const blocker = deferred(started, 'blocker');
+    const tasks = [
+      scheduler.schedule(blocker.fn),
+      scheduler.schedule(async () => started.push('low'), 'low'),
+      scheduler.schedule(async () => started.push('normal')),
+      scheduler.schedule(async () => started.push('high'), 'high'),
+    ];
+    expect(scheduler.pending).toBe(3);
+    blocker.resolve();
+    await Promise.all(tasks);
+    expect(started).toEqual(['blocker', 'high', 'normal', 'low']);
+  });
+
+  it('caps the requests in flight', async () => {
+    const started: string[] = [];
+    const scheduler = new RequestScheduler({ maxConcurrent: 2 });
+    const tasks = ['a', 'b', 'c', 'd'].map((name) => deferred(started, name));
+    const done = tasks.map((task) => scheduler.schedule(task.fn));
+    expect(started).toEqual(['a', 'b']);
+    tasks[1].resolve();
+    await done[1];
+    await vi.waitFor(() => expect(started).toEqual(['a', 'b', 'c']));
+    expect(scheduler.pending).toBe(1);
+    tasks.forEach((task) => task.resolve());
+    await Promise.all(done);
+    expect(started).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('delays requests over the per-second rate', async () => {
+    const started: number[] = [];
+    const scheduler = new RequestScheduler({ requestsPerSecond: 2 });
+    const start = Date.now();
+    const done = [1, 2, 3].map(() =>
+      scheduler.schedule(async () => started.push(Date.now() - start))
+    );
+    expect(started).toEqual([0, 0]);
+    await vi.advanceTimersByTimeAsync(999);
+    expect(started).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(1);
+    await Promise.all(done);
+    expect(started).toEqual([0, 0, 1000]);
+  });
+
+  it('delays requests over the per-minute rate', async () => {
+    const started: number[] = [];
+    const scheduler = new RequestScheduler({
+      requestsPerSecond: 10,
+      requestsPerMinute: 2,
+    });
+    const start = Date.now();
+    const done = [1, 2, 3].map(() =>
+      scheduler.schedule(async () => started.push(Date.now() - start))
+    );
+    await vi.advanceTimersByTimeAsync(60000);
+    await Promise.all(done);
+    expect(started).toEqual([0, 0, 60000]);
+  });
+});
+
+describe('defaultPriority', () => {
+  it('puts sends first and contact imports last', () => {
+    expect(defaultPriority('smtp/emails', 'POST')).toBe('high');
+    expect(defaultPriority('sms/send', 'post')).toBe('high');
+    expect(defaultPriority('smtp/emails', 'GET')).toBe('normal');
+    expect(defaultPriority('addressbooks/1/emails', 'POST')).toBe('low');
+    expect(defaultPriority('campaigns', 'POST')).toBe('normal');
+  });
+});
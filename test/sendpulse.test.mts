@@ -0,0 +1,227 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+import type { EmailTemplate } from '../src/types.mjs';
+
+describe('SendPulseClient routes', () => {
+  const server = new MockSendPulseServer({
+    clientId: 'id',
+    clientSecret: 'secret',
+  });
+  let client: SendPulseClient;
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    client = new SendPulseClient('id', 'secret', server.url, {
+      retry: false,
+    });
+  });
+
+  const lastRequest = () => server.requests[server.requests.length - 1];
+
+  it('gets book info', async () => {
+    await client.createAddressBook('Customers');
+    const [book] = await client.listAddressBooks();
+    const info = await client.getBookInfo(String(book.id));
+    expect(info).toEqual([expect.objectContaining({ name: 'Customers' })]);
+    expect(lastRequest()).toMatchObject({
+      method: 'GET',
+      path: `addressbooks/${book.id}`,
+    });
+  });
+
+  it('gets an email template', async () => {
+    server.state.templates.push({
+      id: 'abc',
+      real_id: 7,
+      name: 'Welcome',
+      body: '<p>Hi</p>',
+    } as EmailTemplate);
+    expect(await client.getEmailTemplate('7')).toMatchObject({
+      name: 'Welcome',
+    });
+    expect(lastRequest()).toMatchObject({ method: 'GET', path: 'template/7' });
+    await expect(client.getEmailTemplate('8')).rejects.toMatchObject({
+      name: 'NotFoundError',
+      status: 404,
+    });
+  });
+
+  it('gets SMTP email info by id', async () => {
+    await client.smtpSendMail({
+      subject: 'Hi',
+      html: '<p>Hi</p>',
+      from: { email: 'me@x.io' },
+      to: [{ email: 'you@x.io' }],
+    });
+    const [email] = server.state.smtpEmails;
+    expect(await client.smtpGetEmailInfoById(email.id)).toMatchObject({
+      id: email.id,
+    });
+    expect(lastRequest()).toMatchObject({
+      method: 'GET',
+      path: `smtp/emails/${email.id}`,
+    });
+  });
+
+  it('updates email variables', async () => {
+    await client.createAddressBook('Customers');
+    const [book] = await client.listAddressBooks();
+    await client.addAddressBookEmails(String(book.id), [
+      { email: 'a@x.io', variables: { name: 'A' } },
+    ]);
+    await client.updateEmailVariables(String(book.id), 'a@x.io', {
+      city: 'Kyiv',
+    });
+    expect(lastRequest()).toMatchObject({
+      method: 'POST',
+      path: `addressbooks/${book.id}/emails/variable`,
+      body: { email: 'a@x.io', variables: { city: 'Kyiv' } },
+    });
+    const [contact] = await client.getAddressBookEmails(String(book.id));
+    expect(contact.variables).toEqual({ name: 'A', city: 'Kyiv' });
+  });
+
+  it('activates a sender', async () => {
+    await client.addSender('a+news@x.io', 'News');
+    await client.activateSender('a+news@x.io', '123456');
+    expect(lastRequest()).toMatchObject({
+      method: 'POST',
+      path: 'senders/a%2Bnews%40x.io/code',
+      body: { code: '123456' },
+    });
+    expect(await client.listSenders()).toEqual([
+      expect.objectContaining({ email: 'a+news@x.io', status: 'Active' }),
+    ]);
+  });
+
+  it('cancels the variants created when an A/B test fails', async () => {
+    client.use(async (context, next) => {
+      const result = await next();
+      if (context.method === 'POST' && context.path === 'campaigns') {
+        // Let the first variant through and fail the next one
+        server.injectFault({ status: 400, method: 'POST', path: 'campaigns' });
+      }
+      return result;
+    });
+    await expect(
+      client.createAbTestCampaign(
+        {
+          sender_name: 'Me',
+          sender_email: 'me@x.io',
+          body: '<p>Hi</p>',
+          emails: ['a@x.io', 'b@x.io'],
+        },
+        [{ subject: 'A' }, { subject: 'B' }]
+      )
+    ).rejects.toMatchObject({ status: 400 });
+    expect(Array.from(server.state.campaigns.values())).toEqual([
+      expect.objectContaining({ status: 4 }),
+    ]);
+  });
+
+  it('checks the spend of an A/B test once, for the whole book', async () => {
+    const checks: string[] = [];
+    const guarded = new SendPulseClient('id', 'secret', server.url, {
+      retry: false,
+      spendGuard: {
+        budget: 10,
+        onCheck: (check) => checks.push(check.operation),
+      },
+    });
+    await guarded.createAddressBook('Customers');
+    const [book] = await guarded.listAddressBooks();
+    await guarded.addAddressBookEmails(String(book.id), [
+      { email: 'a@x.io' },
+      { email: 'b@x.io' },
+    ]);
+    const variants = await guarded.createAbTestCampaign(
+      {
+        sender_name: 'Me',
+        sender_email: 'me@x.io',
+        body: '<p>Hi</p>',
+        list_id: book.id,
+      },
+      [{ subject: 'A' }, { subject: 'B' }]
+    );
+    expect(variants).toHaveLength(2);
+    expect(checks).toEqual(['createAbTestCampaign']);
+  });
+
+  it('cannot estimate the cost of a campaign without a book', async () => {
+    await expect(
+      client.campaignCost(
+        'News',
+        'Hi',
+        'me@x.io',
+        'Me',
+        '<p>Hi</p>',
+        undefined,
+        ['a@x.io']
+      )
+    ).rejects.toThrow('without a book');
+    expect(server.requests).toEqual([]);
+  });
+
+  it('unwraps the SMS campaign cost', async () => {
+    expect(
+      await client.smsGetCampaignCost('Shop', 'Sale', undefined, [
+        '380501234567',
+      ])
+    ).toEqual({ price: 0, currency: 'USD' });
+  });
+
+  it('rejects A/B tests without a recipient per variant', async () => {
+    const options = {
+      sender_name: 'Me',
+      sender_email: 'me@x.io',
+      body: '<p>Hi</p>',
+    };
+    const variants = [{ subject: 'A' }, { subject: 'B' }];
+    await expect(
+      client.createAbTestCampaign({ ...options, emails: ['a@x.io'] }, variants)
+    ).rejects.toThrow('Fewer recipients than A/B test variants');
+    await expect(
+      client.createAbTestCampaign(
+        { ...options, list_id: 1, emails: ['a@x.io', 'b@x.io'] },
+        variants
+      )
+    ).rejects.toThrow('either a book id or an emails array');
+    await expect(
+      client.createCampaign({ ...options, subject: 'Hi', emails: [] })
+    ).rejects.toThrow('Empty emails array');
+    expect(server.requests).toEqual([]);
+  });
+
+  it('lists SMS campaigns on the legacy route', async () => {
+    const recording = new SendPulseClient('id', 'secret', server.url, {
+      dryRun: { forwardReads: false, respond: () => [] },
+    });
+    await recording.smsGetListCampaigns(
+      10,
+      0,
+      '2030-01-01 00:00:00',
+      '2030-01-31 23:59:59'
+    );
+    expect(recording.dryRun!.calls).toEqual([
+      expect.objectContaining({
+        method: 'GET',
+        path: 'sms/campaigns/list',
+        data: {
+          limit: 10,
+          offset: 0,
+          dateFrom: '2030-01-01 00:00:00',
+          dateTo: '2030-01-31 23:59:59',
+        },
+      }),
+    ]);
+  });
+});
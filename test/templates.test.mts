@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { lintTemplateVariables, renderTemplate } from '../src/templates.mjs';
+
+describe('templates', () => {
+  const body =
+    "<p>{{ name }} {{ city|default('') }} {{ plan|default('free') }}</p>";
+
+  it('agrees with render on empty values and defaults', () => {
+    for (const name of [undefined, null, '']) {
+      const variables = { name, city: null };
+      expect(lintTemplateVariables(body, variables).missing).toEqual(['name']);
+      expect(() => renderTemplate(body, variables, { strict: true })).toThrow(
+        'Missing template variable: name'
+      );
+    }
+    const variables = { name: 'Ann' };
+    expect(lintTemplateVariables(body, variables)).toEqual({
+      missing: [],
+      unused: [],
+    });
+    expect(renderTemplate(body, variables, { strict: true })).toBe(
+      '<p>Ann  free</p>'
+    );
+  });
+
+  it('reports unused variables', () => {
+    expect(lintTemplateVariables(body, { name: 'Ann', age: 3 })).toEqual({
+      missing: [],
+      unused: ['age'],
+    });
+  });
+});
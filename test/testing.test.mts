@@ -0,0 +1,84 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+
+describe('MockSendPulseServer', () => {
+  const server = new MockSendPulseServer({
+    clientId: 'id',
+    clientSecret: 'secret',
+  });
+  let client: SendPulseClient;
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    client = new SendPulseClient('id', 'secret', server.url, {
+      retry: { baseDelay: 1, jitter: false },
+    });
+  });
+
+  it('rejects start() when the port is busy', async () => {
+    const other = new MockSendPulseServer();
+    const port = Number(new URL(server.url).port);
+    await expect(other.start(port)).rejects.toMatchObject({
+      code: 'EADDRINUSE',
+    });
+  });
+
+  it('rejects wrong client credentials', async () => {
+    const wrong = new SendPulseClient('id', 'nope', server.url, {
+      retry: false,
+    });
+    await expect(wrong.listAddressBooks()).rejects.toMatchObject({
+      name: 'AuthenticationError',
+    });
+  });
+
+  it('keeps address books and their emails', async () => {
+    await client.createAddressBook('Customers');
+    const [book] = await client.listAddressBooks();
+    await client.addAddressBookEmails(String(book.id), [
+      { email: 'a@x.io' },
+      { email: 'b@x.io' },
+    ]);
+    expect(await client.getAddressBookEmails(String(book.id))).toHaveLength(2);
+    expect(server.state.addressBooks.get(book.id).emails).toHaveLength(2);
+  });
+
+  it('marks cancelled campaigns with status 4', async () => {
+    const { id } = await client.createCampaign({
+      subject: 'Hi',
+      sender_name: 'Me',
+      sender_email: 'me@x.io',
+      body: '<p>Hi</p>',
+      emails: ['a@x.io'],
+    });
+    expect((await client.getCampaignInfo(String(id))).status).toBe(13);
+    await client.cancelCampaign(String(id));
+    expect((await client.getCampaignInfo(String(id))).status).toBe(4);
+  });
+
+  it('injects faults', async () => {
+    server.injectFault({ status: 503, method: 'GET', path: 'balance' });
+    expect(await client.getBalance()).toMatchObject({ currency: 'USD' });
+    expect(
+      server.requests.filter((request) => request.path === 'balance')
+    ).toHaveLength(2);
+  });
+
+  it('expires tokens', async () => {
+    await client.getBalance();
+    server.expireTokens();
+    await client.getBalance();
+    expect(
+      server.requests.filter((request) => request.path === 'oauth/access_token')
+    ).toHaveLength(2);
+  });
+});
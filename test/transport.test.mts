@@ -0,0 +1,45 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { MockSendPulseServer } from '../src/testing.mjs';
+import { axiosTransport, fetchTransport } from '../src/transport.mjs';
+
+describe('transports', () => {
+  const server = new MockSendPulseServer();
+  let url: string;
+
+  beforeAll(async () => {
+    url = await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  for (const [name, transport] of [
+    ['fetch', fetchTransport()],
+    ['axios', axiosTransport()],
+  ] as const) {
+    it(`resolves responses with ${name}, error statuses included`, async () => {
+      const token = await transport({
+        method: 'POST',
+        url: `${url}/oauth/access_token`,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          grant_type: 'client_credentials',
+          client_id: 'id',
+          client_secret: 'secret',
+        }),
+      });
+      expect(token).toMatchObject({
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        data: { access_token: expect.any(String) },
+      });
+      const unauthorized = await transport({
+        method: 'GET',
+        url: `${url}/balance`,
+        headers: {},
+      });
+      expect(unauthorized.status).toBe(401);
+    });
+  }
+});
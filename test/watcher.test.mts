@@ -0,0 +1,95 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from 'vitest';
+import { SendPulseClient } from '../src/sendpulse.mjs';
+import { MockSendPulseServer } from '../src/testing.mjs';
+
+describe('CampaignWatcher', () => {
+  const server = new MockSendPulseServer();
+  let client: SendPulseClient;
+  let id: number;
+
+  beforeAll(async () => {
+    await server.start();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    client = new SendPulseClient('id', 'secret', server.url, { retry: false });
+    ({ id } = await client.createCampaign({
+      subject: 'Hi',
+      sender_name: 'Me',
+      sender_email: 'me@x.io',
+      body: '<p>Hi</p>',
+      emails: ['a@x.io'],
+    }));
+  });
+
+  /** Leave the polls of the campaign pending forever */
+  const hangPolls = () =>
+    client.use((context, next) =>
+      context.path === `campaigns/${id}` ? new Promise(() => {}) : next()
+    );
+
+  it('resolves on a final state', async () => {
+    const states: string[] = [];
+    const watcher = client
+      .watchCampaign(id, { interval: 1 })
+      .on('change', ({ state }) => states.push(state));
+    setTimeout(() => (server.state.campaigns.get(id)!.status = 3), 20);
+    await expect(watcher.done).resolves.toMatchObject({ state: 'sent' });
+    expect(states).toEqual(['queued', 'sent']);
+  });
+
+  it('times out during a hung poll', async () => {
+    hangPolls();
+    await expect(
+      client.waitForCampaign(id, { timeout: 20 })
+    ).rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+
+  it('stops during a hung poll', async () => {
+    hangPolls();
+    const watcher = client.watchCampaign(id);
+    setTimeout(() => watcher.stop(), 20);
+    await expect(watcher.done).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('resolves SMS campaigns from the delivery of their phones', async () => {
+    client.use(async (context, next) =>
+      context.path === 'sms/campaigns/info/7'
+        ? {
+            result: true,
+            data: {
+              id: 7,
+              send_date: '2020-01-01 00:00:00',
+              task_phones_info: [
+                { phone: 380501234567, status: 3, status_explain: 'Delivered' },
+              ],
+            },
+          }
+        : next()
+    );
+    await expect(
+      client.waitForCampaign(7, { kind: 'sms' })
+    ).resolves.toMatchObject({ state: 'sent', info: { id: 7 } });
+  });
+
+  it('removes its listener from the signal once done', async () => {
+    const signal = new AbortController().signal;
+    const added: unknown[] = [];
+    const removed: unknown[] = [];
+    signal.addEventListener = (_: string, listener: unknown) => {
+      added.push(listener);
+    };
+    signal.removeEventListener = (_: string, listener: unknown) => {
+      removed.push(listener);
+    };
+    server.state.campaigns.get(id)!.status = 3;
+    await client.waitForCampaign(id, { signal });
+    expect(added).toHaveLength(1);
+    expect(removed).toEqual(added);
+  });
+});
@@ -0,0 +1,121 @@
+import { createHmac } from 'crypto';
+import { describe, expect, it, vi } from 'vitest';
+import { parseWebhookEvents, WebhookHandler } from '../src/webhooks.mjs';
+
+const payload = JSON.stringify([
+  { event: 'opened', email: 'a@x.io', task_id: 5, timestamp: 1700000000 },
+  { event: 'hard_bounce', email: 'b@x.io', task_id: 5 },
+  { event: 'delivered', recipient: 'c@x.io', message_id: 'm1' },
+  { service: 'telegram', title: 'incoming_message', contact: { id: 1 } },
+]);
+
+const sign = (body: string) =>
+  createHmac('sha256', 'secret').update(body).digest('hex');
+
+/** Node response recording its status and body */
+function response() {
+  return {
+    statusCode: 0,
+    body: '',
+    setHeader() {},
+    end(body: string) {
+      this.body = body;
+    },
+  };
+}
+
+/** Node request streaming a body, optionally already parsed */
+function request(body: string, headers = {}, parsed?: any) {
+  return {
+    headers,
+    url: '/hook',
+    body: parsed,
+    async *[Symbol.asyncIterator]() {
+      yield new TextEncoder().encode(body);
+    },
+  };
+}
+
+describe('parseWebhookEvents', () => {
+  it('types the events of a batch', () => {
+    expect(parseWebhookEvents(payload).map((event) => event.type)).toEqual([
+      'email.opened',
+      'email.bounced',
+      'smtp.delivered',
+      'chatbot.incoming_message',
+    ]);
+  });
+});
+
+describe('WebhookHandler', () => {
+  it('dispatches events to their listeners', async () => {
+    const opened = vi.fn();
+    const all = vi.fn();
+    const handler = new WebhookHandler()
+      .on('email.opened', opened)
+      .on('*', all);
+    await handler.handle({ body: payload, headers: {} });
+    expect(opened).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'a@x.io', campaign_id: 5 })
+    );
+    expect(all).toHaveBeenCalledTimes(4);
+  });
+
+  it('checks the shared secret', async () => {
+    const handle = new WebhookHandler({ secret: 'secret' }).fetch();
+    const post = (url: string) =>
+      handle(new Request(url, { method: 'POST', body: payload }));
+    expect((await post('http://x/hook?token=secret')).status).toBe(200);
+    expect((await post('http://x/hook?token=wrong')).status).toBe(401);
+  });
+
+  it('checks HMAC-SHA256 signatures of the raw body', async () => {
+    const handler = new WebhookHandler({
+      secret: 'secret',
+      signatureHeader: 'X-Signature',
+    });
+    const handle = handler.node();
+
+    const signed = response();
+    await handle(request(payload, { 'x-signature': sign(payload) }), signed);
+    expect(signed.statusCode).toBe(200);
+
+    const forged = response();
+    await handle(
+      request(payload, {
+        'x-signature': createHmac('sha256', 'other')
+          .update(payload)
+          .digest('hex'),
+      }),
+      forged
+    );
+    expect(forged.statusCode).toBe(401);
+  });
+
+  it('accepts raw bodies read by a middleware', async () => {
+    const handle = new WebhookHandler({
+      secret: 'secret',
+      signatureHeader: 'X-Signature',
+    }).express();
+    const res = response();
+    await handle(
+      request(payload, { 'x-signature': sign(payload) }, Buffer.from(payload)),
+      res
+    );
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('rejects signed requests whose body was parsed', async () => {
+    const handle = new WebhookHandler({
+      secret: 'secret',
+      signatureHeader: 'X-Signature',
+    }).express();
+    const res = response();
+    await handle(
+      request(payload, { 'x-signature': sign(payload) }, JSON.parse(payload)),
+      res
+    );
+    expect(res.statusCode).toBe(500);
+    expect(JSON.parse(res.body).message).toMatch(/raw request body/);
+  });
+});